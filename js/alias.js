@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Shell aliases, stored per user
+ * @module alias
+ */
+
+import { DEFAULT_ALIASES } from './filesystem-data.js';
+
+/**
+ * Holds the alias table of the current user. Aliases are saved to the
+ * preferences store, when there is one, under a key for each user, but
+ * only once that user sets or removes one: a user with no saved entry
+ * gets the defaults, and keeps getting them as they change. Aliases
+ * defined by startup files are never saved; see withoutSaving().
+ */
+export class AliasManager {
+    /**
+     * Characters that cannot appear in an alias name
+     */
+    static INVALID_NAME = /[\s/$`='"\\|&;<>()]/;
+
+    /**
+     * Create a new alias manager
+     * @param {Object|null} prefs - Preferences store with has/get/set
+     * @param {Function} [onChange] - Called whenever the table changes,
+     *     including when another user's table is loaded
+     */
+    constructor(prefs = null, onChange = () => {}) {
+        this.prefs = prefs;
+        this.onChange = onChange;
+        this.user = null;
+        this.aliases = new Map();
+
+        // The user's own table, which is what gets saved
+        this._saved = new Map();
+        this._saving = true;
+    }
+
+    /**
+     * Load the aliases of a user, falling back to the defaults. Nothing
+     * is saved, so the defaults are not copied to a user who has none.
+     * @param {string} user - User name
+     * @returns {AliasManager} Self for chaining
+     */
+    load(user) {
+        const key = AliasManager.prefsKey(user);
+        const saved = this.prefs?.has(key) ? this.prefs.get(key) : null;
+
+        this.user = user;
+        this._saved = new Map(Object.entries(saved || DEFAULT_ALIASES));
+        this.aliases = new Map(this._saved);
+        this.onChange();
+        return this;
+    }
+
+    /**
+     * Run code whose alias changes only last until the next load, such
+     * as startup files, which define their aliases again each time they
+     * run. These changes are not saved, now or along with later ones.
+     * @param {Function} run - Code to run
+     * @returns {Promise<*>} Resolves to what run returns
+     */
+    async withoutSaving(run) {
+        this._saving = false;
+        try {
+            return await run();
+        } finally {
+            this._saving = true;
+        }
+    }
+
+    /**
+     * Get the value of an alias
+     * @param {string} name - Alias name
+     * @returns {string|undefined} Alias value
+     */
+    get(name) {
+        return this.aliases.get(name);
+    }
+
+    /**
+     * Check if an alias exists
+     * @param {string} name - Alias name
+     * @returns {boolean} True if defined
+     */
+    has(name) {
+        return this.aliases.has(name);
+    }
+
+    /**
+     * Define or replace an alias
+     * @param {string} name - Alias name
+     * @param {string} value - Text the name is replaced with
+     * @throws {Error} If the name is not valid
+     */
+    set(name, value) {
+        if (!AliasManager.isValidName(name)) {
+            throw new Error(`\`${name}': invalid alias name`);
+        }
+
+        this.aliases.set(name, value);
+        if (this._saving) this._saved.set(name, value);
+        this._save();
+    }
+
+    /**
+     * Remove an alias
+     * @param {string} name - Alias name
+     * @returns {boolean} True if the alias existed
+     */
+    remove(name) {
+        const removed = this.aliases.delete(name);
+        if (this._saving) this._saved.delete(name);
+        if (removed) this._save();
+        return removed;
+    }
+
+    /**
+     * Remove all aliases
+     */
+    clear() {
+        this.aliases.clear();
+        if (this._saving) this._saved.clear();
+        this._save();
+    }
+
+    /**
+     * List aliases sorted by name
+     * @returns {Array<[string, string]>} Name and value pairs
+     */
+    list() {
+        return [...this.aliases].sort(([a], [b]) => a.localeCompare(b));
+    }
+
+    /**
+     * Format an alias the way `alias` prints it, so it can be read back in
+     * @param {string} name - Alias name
+     * @returns {string} Definition such as `alias ll='ls -l'`
+     */
+    format(name) {
+        return `alias ${name}='${this.aliases.get(name).replace(/'/g, "'\\''")}'`;
+    }
+
+    /**
+     * Check whether a name can be used for an alias
+     * @param {string} name - Name to check
+     * @returns {boolean} True if valid
+     */
+    static isValidName(name) {
+        return !!name && !AliasManager.INVALID_NAME.test(name);
+    }
+
+    /**
+     * Preferences key holding a user's aliases
+     * @param {string} user - User name
+     * @returns {string} Key
+     */
+    static prefsKey(user) {
+        return `aliases.${user}`;
+    }
+
+    /**
+     * Save the user's own table, unless changes are not being saved
+     * @private
+     */
+    _save() {
+        if (this._saving) {
+            this.prefs?.set(AliasManager.prefsKey(this.user), Object.fromEntries(this._saved));
+        }
+        this.onChange();
+    }
+}
+
+export default AliasManager;
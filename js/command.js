@@ -4,28 +4,375 @@
  */
 
 import utils from './utils.js';
+import { ControlFlow } from './interpreter.js';
+import { Job } from './jobs.js';
 
 /**
- * Base command class for consistent command structure
+ * Split text into lines, ignoring the trailing newline
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Job specs of the jobs in the table, for completing `fg` and `bg`
+ * @param {Object} context - Completion context
+ * @returns {Array<string>} Job specs such as `%1`
+ */
+function completeJobSpecs(context) {
+    return context.terminal.jobs.list().map(job => `%${job.id}`);
+}
+
+/**
+ * Name an option is parsed under: its long name, or else its short one
+ * @param {Object} option - Option declaration
+ * @returns {string} Flag name
+ */
+function optionKey(option) {
+    return option.long ?? option.short;
+}
+
+/**
+ * Name an option as it is typed, for messages
+ * @param {Object} option - Option declaration
+ * @returns {string} Flag such as `--lines` or `-n`
+ */
+function optionLabel(option) {
+    return option.long ? `--${option.long}` : `-${option.short}`;
+}
+
+/**
+ * Base command class for consistent command structure.
+ *
+ * A command may declare its arguments instead of checking them itself:
+ * `options` lists its flags, each with a `short` and/or `long` name, a
+ * `description`, and optionally a `type` (`'boolean'`, the default,
+ * `'string'` or `'number'`), a `default`, `choices`, whether it is
+ * `repeatable`, and an `arg` name for its value in the help. An option
+ * with an `implied` value takes its value only when attached, as in
+ * `--color=never`, and is given the implied one when it stands alone.
+ * `args` lists the positional arguments, each with a `name` and whether
+ * it is `required` or `variadic`. From these, `run()` validates the
+ * arguments, sets each flag under both of its names, and answers `-h`
+ * and `--help` with help generated from the `summary`, `synopsis` and
+ * `description`.
+ *
+ * Commands whose operands may begin with a dash, such as `echo -n`,
+ * `test -f`, `kill -9`, `chmod -x`, `su -` and `exit -1`, check their
+ * own arguments instead, as do `set` and the other builtins that follow
+ * bash's syntax rather than getopt's.
  */
 export class Command {
+    /**
+     * Option added to every command that declares its options
+     */
+    static HELP_OPTION = { short: 'h', long: 'help', description: 'Show this help message' };
+
     constructor(name, options = {}) {
         this.name = name;
         this.type = options.type || 'exec';
         this.mime = options.mime || 'application/x-sharedlib';
-        this.help = options.help || `No help available for ${name}`;
+        this.summary = options.summary || '';
+        this.synopsis = options.synopsis || null;
+        this.description = options.description || '';
+        this.args = options.args || [];
+        this.options = options.options ? Command._withHelpOption(options.options) : null;
+        this.help = options.help || (this.options ? this.formatHelp() : `No help available for ${name}`);
         this.func = options.func || this.execute.bind(this);
         this.aliases = options.aliases || [];
         this.permissions = options.permissions || [];
+        this.flags = options.flags || (this.options ? this._optionFlags() : Command.flagsFromHelp(this.help));
+        this.optionSpec = options.optionSpec || (this.options ? this._optionSpec() : {});
+    }
+
+    /**
+     * Add the help option to declared options, unless its names are taken
+     * @param {Array<Object>} options - Option declarations
+     * @returns {Array<Object>} Options including help
+     * @private
+     */
+    static _withHelpOption(options) {
+        if (options.some(option => option.long === 'help')) return options;
+
+        const short = options.some(option => option.short === 'h') ? undefined : 'h';
+        return [...options, { ...Command.HELP_OPTION, short }];
+    }
+
+    /**
+     * Run the command with parsed arguments. A command that declares its
+     * options has them checked first: a usage error is reported with
+     * status 2, and `--help` prints the help instead of running it.
+     * @param {Object} terminal - Terminal instance
+     * @param {Object} argv - Parsed arguments
+     * @param {Object} [io] - I/O context
+     * @returns {Promise<number|void>} Exit status
+     */
+    async run(terminal, argv, io = {}) {
+        if (this.options) {
+            const name = argv.command ?? this.name;
+            const error = this._checkOptions(argv) ?? (argv.help ? null : this._checkArgs(argv));
+
+            if (error) {
+                terminal.printError(`${name}: ${error}`);
+                terminal.printError(`Try '${name} --help' for more information.`);
+                return 2;
+            }
+            if (argv.help) {
+                terminal.printHTML(this.help);
+                return 0;
+            }
+        }
+
+        return await this.func(terminal, argv, io);
+    }
+
+    /**
+     * Generate help text from the declared summary, synopsis, description
+     * and options
+     * @returns {string} Help HTML
+     */
+    formatHelp() {
+        const lines = [`<span class="cmd">${this.name}</span>${this.summary ? `: ${this.summary}` : ''}`, ''];
+        lines.push(`Usage: ${this.name} ${this.synopsis ?? this._formatSynopsis()}`.trimEnd());
+        if (this.description) lines.push('', this.description);
+
+        const rows = this.options.map(option => {
+            const names = [option.short && `-${option.short}`, option.long && `--${option.long}`].filter(Boolean).join(', ');
+            const type = option.type ?? 'boolean';
+            const value = `${option.long ? '=' : ' '}${option.arg ?? (type === 'number' ? 'NUM' : 'VALUE')}`;
+            const arg = type === 'boolean' ? '' : (option.implied !== undefined ? `[${value}]` : value);
+            const notes = [
+                option.choices && `one of: ${option.choices.join(', ')}`,
+                option.default !== undefined && type !== 'boolean' && `default: ${option.default}`
+            ].filter(Boolean);
+
+            return {
+                label: `${option.short ? '' : '    '}${names}${arg}`,
+                description: `${option.description ?? ''}${notes.length ? ` (${notes.join('; ')})` : ''}`
+            };
+        });
+        const width = Math.max(...rows.map(row => row.label.length)) + 2;
+
+        lines.push('', 'Options:');
+        for (const { label, description } of rows) {
+            lines.push(`\t${label.padEnd(width)}${description}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Synopsis of the declared arguments, such as `[OPTION]... FILE...`
+     * @returns {string} Synopsis HTML
+     * @private
+     */
+    _formatSynopsis() {
+        const args = this.args.map(arg => {
+            const name = `<span class="parameter">${arg.name}</span>`;
+            return `${arg.required ? name : `[${name}]`}${arg.variadic ? '...' : ''}`;
+        });
+        return ['[OPTION]...', ...args].join(' ');
+    }
+
+    /**
+     * Flags of the declared options, for tab completion
+     * @returns {Array<string>} Flags such as `-l` and `--long`
+     * @private
+     */
+    _optionFlags() {
+        return this.options.flatMap(option => [option.short && `-${option.short}`, option.long && `--${option.long}`].filter(Boolean));
+    }
+
+    /**
+     * Parser option spec of the declared options
+     * @returns {Object} Option spec
+     * @private
+     */
+    _optionSpec() {
+        const options = this.options;
+        return {
+            values: options.filter(option => (option.type ?? 'boolean') !== 'boolean' && option.implied === undefined).map(optionKey),
+            repeatable: options.filter(option => option.repeatable).map(optionKey),
+            aliases: Object.fromEntries(options.filter(option => option.short && option.long).map(option => [option.short, option.long]))
+        };
+    }
+
+    /**
+     * Find a declared option by its short or long name
+     * @param {string} name - Flag name
+     * @returns {Object|undefined} Option declaration
+     * @private
+     */
+    _findOption(name) {
+        return this.options.find(option => option.short === name || option.long === name);
+    }
+
+    /**
+     * Check the flags against the declared options, converting values to
+     * their types and filling in defaults
+     * @param {Object} argv - Parsed arguments, updated in place
+     * @returns {string|null} Usage error, or null
+     * @private
+     */
+    _checkOptions(argv) {
+        for (const name of Object.keys(argv)) {
+            if (['_', 'command', 'raw'].includes(name) || this._findOption(name)) continue;
+            return name.length === 1 ? `invalid option -- '${name}'` : `unrecognized option '--${name}'`;
+        }
+
+        for (const option of this.options) {
+            const key = optionKey(option);
+            const type = option.type ?? 'boolean';
+
+            if (!Object.hasOwn(argv, key)) {
+                if (option.default === undefined) continue;
+                argv[key] = option.default;
+            } else if (type === 'boolean') {
+                if ([].concat(argv[key]).some(value => typeof value === 'string')) return `option '${optionLabel(option)}' doesn't allow an argument`;
+            } else {
+                if (argv[key] === true && option.implied !== undefined) argv[key] = option.implied;
+
+                const values = [].concat(argv[key]);
+                if (values.includes(true)) return `option '${optionLabel(option)}' requires an argument`;
+
+                for (const value of values) {
+                    if (type === 'number' && (value.trim() === '' || Number.isNaN(Number(value)))) {
+                        return `invalid number '${value}' for '${optionLabel(option)}'`;
+                    }
+                    if (option.choices && !option.choices.includes(value)) {
+                        return `invalid argument '${value}' for '${optionLabel(option)}'\nValid arguments are: ${option.choices.map(choice => `'${choice}'`).join(', ')}`;
+                    }
+                }
+                if (type === 'number') {
+                    argv[key] = Array.isArray(argv[key]) ? argv[key].map(Number) : Number(argv[key]);
+                }
+            }
+
+            if (option.short && option.long) argv[option.short] = argv[key];
+        }
+
+        return null;
+    }
+
+    /**
+     * Check the positional arguments against the declared ones
+     * @param {Object} argv - Parsed arguments
+     * @returns {string|null} Usage error, or null
+     * @private
+     */
+    _checkArgs(argv) {
+        const required = this.args.filter(arg => arg.required);
+        if (argv._.length < required.length) {
+            return argv._.length === 0 ? 'missing operand' : `missing ${required[argv._.length].name} operand`;
+        }
+        if (!this.args.some(arg => arg.variadic) && argv._.length > this.args.length) {
+            return `extra operand '${argv._[this.args.length]}'`;
+        }
+        return null;
+    }
+
+    /**
+     * Get the flags listed in the option lines of a help text, such as
+     * `-e` and `--encode` from `\t-e, --encode\tEncode input`
+     * @param {string} help - Help text
+     * @returns {Array<string>} Flags
+     */
+    static flagsFromHelp(help) {
+        const flags = [];
+
+        for (const [, names] of help.matchAll(/(?:\t|&emsp;)(-[^\t\n]*)\t/g)) {
+            for (const name of names.split(/,\s*|\|/)) {
+                const flag = name.match(/^--?[\w-]+/)?.[0];
+                if (flag && !flags.includes(flag)) flags.push(flag);
+            }
+        }
+
+        return flags;
+    }
+
+    /**
+     * Complete an argument of this command. Override this to offer
+     * candidates of your own; returning null leaves the word to the
+     * default completion of flags and paths. By default, a declared long
+     * option that takes a value completes up to its `=`, and the value of
+     * one with `choices` completes to them.
+     * @param {Object} context - Completion context, see CompletionEngine#context
+     * @returns {Array<string|Object>|null} Candidates, or null
+     */
+    complete(context) {
+        if (!this.options) return null;
+
+        const { word, words } = context;
+        const attached = word.match(/^--([^=]+)=/);
+        if (attached) {
+            return this._findOption(attached[1])?.choices?.map(choice => ({ value: `${attached[0]}${choice}`, display: choice })) ?? [];
+        }
+
+        // A value given as the next word, after -n or --name
+        const previous = words[words.length - 1] ?? '';
+        const name = previous.match(/^--([^=]+)$/)?.[1] ?? (/^-[^-]/.test(previous) ? previous.at(-1) : null);
+        const option = name && words.length > 1 ? this._findOption(name) : null;
+        if (option?.choices && (option.type ?? 'boolean') !== 'boolean') {
+            return option.choices;
+        }
+
+        if (word.startsWith('-')) {
+            return this.options.flatMap(option => [
+                option.short && `-${option.short}`,
+                option.long && ((option.type ?? 'boolean') === 'boolean' ? `--${option.long}` : { value: `--${option.long}=`, partial: true })
+            ].filter(Boolean));
+        }
+        return null;
     }
 
     /**
      * Execute the command - should be overridden by subclasses
      * @param {Object} terminal - Terminal instance
      * @param {Object} argv - Parsed arguments
+     * @param {Object} [io] - I/O context
+     * @param {string|null} [io.stdin] - Piped input, or null when there is none
+     * @param {Array<string>} [io.argv] - Command name and arguments as the shell expanded them
+     * @returns {Promise<number|void>} Exit status; returning nothing means success
      */
-    async execute(terminal, argv) {
-        terminal.printHTML(`Command ${this.name} not implemented`);
+    async execute(terminal, argv, io = {}) {
+        terminal.printError(`${this.name}: not implemented`);
+        return 1;
+    }
+
+    /**
+     * Read the named files, or standard input when no file (or `-`) is given
+     * @param {Object} terminal - Terminal instance
+     * @param {Array<string>} files - File operands
+     * @param {Object} io - I/O context
+     * @returns {Array<{name: string, content: string}>} Input sources
+     * @throws {Error} If a file cannot be read
+     */
+    readInputs(terminal, files, io = {}) {
+        if (files.length === 0) {
+            return [{ name: '-', content: io.stdin ?? '' }];
+        }
+
+        return files.map(name => ({
+            name,
+            content: name === '-' ? (io.stdin ?? '') : terminal.vfs.cat('', name)
+        }));
+    }
+
+    /**
+     * Get the arguments exactly as the shell passed them, for commands whose
+     * operands may look like options, such as `test -f file`
+     * @param {Object} argv - Parsed arguments
+     * @param {Object} io - I/O context
+     * @returns {Array<string>} Arguments without the command name
+     */
+    rawArgs(argv, io = {}) {
+        return io.argv ? io.argv.slice(1) : argv._;
     }
 
     /**
@@ -45,23 +392,23 @@ export class Command {
 export class TreeCommand extends Command {
     constructor() {
         super('tree', {
-            help: "<span class=\"cmd\">tree</span>: [<span class=\"parameter\">path</span>] [<span class=\"parameter\">options</span>]\n\tGraphically displays a directory structure.\n\n\tWhen you use the <span class=\"cmd\">tree</span> command each directory name is displayed along\n\twith the names of any subdirectories within it. The structure displayed\n\tby <span class=\"cmd\">tree</span> depends upon which parameters you specify.\n\t\n\tIf you don't specify a path, <span class=\"cmd\">tree</span> displays the tree structure of the\n\tcurrent working directory.\n\n\tOptions:\n\t&emsp;-f\tDisplay the names of the files in each folder.\n\n",
+            summary: 'Graphically display a directory structure',
+            description: "Display each directory under <span class=\"parameter\">path</span> along with the names of its\nsubdirectories, or under the current working directory when no path is\ngiven.",
+            args: [{ name: 'path' }],
+            options: [
+                { short: 'f', description: 'Display the names of the files in each folder' }
+            ]
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
         try {
             const path = argv._[0];
             const startNode = path ? terminal.vfs._resolve_path(path) : terminal.vfs.cwd;
 
             if (startNode.type !== 'dir') {
-                terminal.printHTML(`tree: ${path || startNode.key}: Not a directory`);
-                return;
+                terminal.printError(`tree: ${path || startNode.key}: Not a directory`);
+                return 1;
             }
 
             terminal.printHTML(path || '.');
@@ -99,7 +446,8 @@ export class TreeCommand extends Command {
 
             buildTree(startNode, '');
         } catch (error) {
-            terminal.printHTML(`tree: ${error.message}`);
+            terminal.printError(`tree: ${error.message}`);
+            return 1;
         }
     }
 }
@@ -112,19 +460,13 @@ export class ClearCommand extends Command {
     constructor() {
         super('clear', {
             aliases: ['cls'],
-            help: "<span class=\"cmd\">clear</span>: [<span class=\"parameter\">options</span>]\n\tClear the terminal.\n\n\tClears the current terminal window. If <span class=\"parameter\">-h</span> is specified\n\tthen also clears the command history.\n\n\tOptions:\n\t&emsp;-h\tclear command history\n\n"
+            summary: 'Clear the terminal screen',
+            description: 'Clear the current terminal window. The command history is kept.',
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-        if (argv.clear || argv.c) {
-            terminal.printHTML(this.help);
-            return;
-        }
         terminal.clear();
     }
 }
@@ -135,15 +477,14 @@ export class ClearCommand extends Command {
 export class PwdCommand extends Command {
     constructor() {
         super('pwd', {
-            help: "<span class=\"cmd\">pwd</span>: Print working directory\n\nPrint the full pathname of the current working directory.\n\nOptions:\n\t-h, --help\tShow this help message"
+            type: 'builtin',
+            summary: 'Print working directory',
+            description: 'Print the full pathname of the current working directory.',
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
         terminal.print(terminal.vfs._absolute_path(terminal.vfs.cwd));
     }
 }
@@ -155,89 +496,115 @@ export class LsCommand extends Command {
     constructor() {
         super('ls', {
             aliases: ['dir'],
-            help: "<span class=\"cmd\">ls</span>: List directory contents\n\nList information about files and directories.\n\nOptions:\n\t-l, --long\t\tUse long listing format\n\t-a, --all\t\tShow hidden files (starting with .)\n\t-d, --directory\t\tList directories themselves, not their contents\n\t-f, --files-only\tShow only files\n\t-h, --help\t\tShow this help message"
+            summary: 'List directory contents',
+            description: 'List information about files and directories.',
+            args: [{ name: 'file', variadic: true }],
+            options: [
+                { short: 'l', long: 'long', description: 'Use long listing format' },
+                { short: 'a', long: 'all', description: 'Show hidden files (starting with .)' },
+                { short: 'A', long: 'almost-all', description: 'Same as -a, as . and .. are never listed' },
+                { short: 'd', long: 'directory', description: 'List directories themselves, not their contents' },
+                { short: 'f', long: 'files-only', description: 'Show only files' },
+                { short: 'C', description: 'List entries in columns (the default)' },
+                { short: 'F', long: 'classify', description: 'Append / to directories and * to executables' },
+                { long: 'color', type: 'string', arg: 'WHEN', choices: ['always', 'auto', 'never'], default: 'auto', implied: 'always', description: 'Colorize directory names' }
+            ]
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
+        const files = [];
+        const dirs = [];
+        let status = 0;
+
+        // Files are listed first, then the contents of each directory
+        for (const operand of argv._.length > 0 ? argv._ : ['.']) {
+            try {
+                const node = terminal.vfs._resolve_path(operand);
+                (node.type === 'dir' && !argv.directory ? dirs : files).push({ name: operand, node });
+            } catch (error) {
+                terminal.printError(`ls: ${error.message}`);
+                status = 1;
+            }
         }
 
-        try {
-            let targetNode = argv._.length > 0 
-                ? terminal.vfs._resolve_path(argv._[0]) 
-                : terminal.vfs.cwd;
-
-            if (argv.d && targetNode.type === "dir") {
-                terminal.write(targetNode.key);
-                terminal.newLine();
-                return;
-            }
+        if (files.length > 0) {
+            this._listEntries(terminal, argv, files);
+        }
 
-            if (targetNode.type !== "dir") {
-                terminal.printHTML(`ls: ${argv._[0] || 'target'}: Not a directory`);
-                return;
+        const headers = files.length + dirs.length > 1 || status !== 0;
+        dirs.forEach(({ name, node }, index) => {
+            if (headers) {
+                if (files.length > 0 || index > 0) terminal.newLine();
+                terminal.print(`${name}:`);
             }
 
-            let children = targetNode.children;
+            let children = node.children;
 
             // Apply filters
-            if (!argv.a && !argv.all) {
+            if (!argv.all && !argv['almost-all']) {
                 children = children.filter(child => !child.key.startsWith('.'));
             }
 
-            if (argv.f || argv['files-only']) {
+            if (argv['files-only']) {
                 children = children.filter(child => child.type === 'file');
             }
 
             // Sort children alphabetically
             children = [...children].sort((a, b) => a.key.localeCompare(b.key));
 
-            if (argv.l || argv.long) {
+            if (argv.long) {
                 terminal.printHTML(`total ${children.length}`);
-                
-                children.forEach(child => {
-                    const isDir = child.type === 'dir';
-                    const size = isDir ? '0' : (child.size || '0').toString().padStart(8);
-                    const permissions = child.permissions || (isDir ? 'rwxr-xr-x' : 'rw-r--r--');
-                    const modified = child.modified || 'unknown';
-                    const user = child.user || 'root';
-                    const group = child.group || 'root';
-                    
-                    const colorizedName = isDir 
-                        ? `<span class="dir">${child.key}</span>`
-                        : child.key;
-                    
-                    const fileType = isDir ? 'd' : (child.type === 'exec' ? '*' : '-');
-                    terminal.printHTML(`${fileType}${permissions} ${user} ${group} ${size} ${modified} ${colorizedName}`);
-                });
-            } else {
-                // Simple listing in columns
-                const terminalWidth = 80;
-                const maxNameLength = Math.max(...children.map(c => c.key.length)) + 2;
-                const columns = Math.floor(terminalWidth / maxNameLength) || 1;
-                
-                for (let i = 0; i < children.length; i += columns) {
-                    const row = children.slice(i, i + columns);
-                    const rowHTML = row.map(child => {
-                        const name = child.type === 'dir' 
-                            ? `<span class="dir">${child.key}</span>`
-                            : child.key;
-                        return name.padEnd(maxNameLength);
-                    }).join('');
-                    
-                    terminal.printHTML(rowHTML);
-                }
             }
-            
             if (children.length === 0) {
                 terminal.newLine();
+                return;
             }
-            
-        } catch (error) {
-            terminal.printHTML(`ls: ${error.message}`);
+            this._listEntries(terminal, argv, children.map(child => ({ name: child.key, node: child })));
+        });
+
+        return status;
+    }
+
+    /**
+     * List entries in columns, or one per line in the long format
+     * @param {TerminalEmulator} terminal - Terminal instance
+     * @param {Object} argv - Parsed arguments
+     * @param {Array<{name: string, node: Object}>} entries - Names to show and their nodes
+     * @private
+     */
+    _listEntries(terminal, argv, entries) {
+        const indicator = (node) => argv.classify ? (node.type === 'dir' ? '/' : (node.type === 'exec' ? '*' : '')) : '';
+        const formatName = ({ name, node }) => {
+            const colored = node.type === 'dir' && argv.color !== 'never' ? `<span class="dir">${name}</span>` : name;
+            return colored + indicator(node);
+        };
+
+        if (argv.long) {
+            entries.forEach(entry => {
+                const { node } = entry;
+                const isDir = node.type === 'dir';
+                const size = isDir ? '0' : (node.size || '0').toString().padStart(8);
+                const permissions = node.permissions || (isDir ? 'rwxr-xr-x' : 'rw-r--r--');
+                const modified = node.modified || 'unknown';
+                const user = node.user || 'root';
+                const group = node.group || 'root';
+
+                const fileType = isDir ? 'd' : (node.type === 'exec' ? '*' : '-');
+                terminal.printHTML(`${fileType}${permissions} ${user} ${group} ${size} ${modified} ${formatName(entry)}`);
+            });
+            return;
+        }
+
+        // Simple listing in columns, padded by the width of the names as shown
+        const terminalWidth = 80;
+        const width = (entry) => entry.name.length + indicator(entry.node).length;
+        const maxNameLength = Math.max(...entries.map(width)) + 2;
+        const columns = Math.floor(terminalWidth / maxNameLength) || 1;
+
+        for (let i = 0; i < entries.length; i += columns) {
+            const row = entries.slice(i, i + columns);
+            terminal.printHTML(row.map(entry => formatName(entry) + ' '.repeat(maxNameLength - width(entry))).join(''));
         }
     }
 }
@@ -249,15 +616,13 @@ export class RebootCommand extends Command {
     constructor() {
         super('reboot', {
             aliases: ['restart', 'reset'],
-            help: "<span class=\"cmd\">reboot</span>: Reboot the terminal\n\nReboots the terminal, clearing all state.\n\nOptions:\n\t-h, --help\tShow this help message"
+            summary: 'Reboot the terminal',
+            description: 'Reboot the terminal, clearing all state.',
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
         terminal
             .clear()
             .printHTML(terminal.opts.welcome)
@@ -272,16 +637,17 @@ export class RebootCommand extends Command {
 export class WhereisCommand extends Command {
     constructor() {
         super('whereis', {
-            help: "<span class=\"cmd\">whereis</span>: [<span class=\"parameter\">command</span>]\n\tLocate the binary, source, and manual page files for a command.\n\n\tSearches for the specified <span class=\"cmd\">command</span> in the directories listed in the\n\tPATH environment variable and returns the full path to the command if found.\n\n"
+            summary: 'Locate the binary, source, and manual page files for a command',
+            description: 'Search for each COMMAND in the directories listed in the PATH\nenvironment variable and print every executable found.',
+            args: [{ name: 'command', required: true, variadic: true }],
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
+        for (const name of argv._) {
+            terminal.print([`${name}:`, ...terminal.vfs.which(name, terminal.env.PATH ?? '')].join(' '));
         }
-        terminal.vfs.whereis(argv._[0]);
     }
 }
 
@@ -291,16 +657,15 @@ export class WhereisCommand extends Command {
 export class CdCommand extends Command {
     constructor() {
         super('cd', {
-            help: "<span class=\"cmd\">cd</span>: Change directory\n\nChange the current working directory to DIR.\n\nSpecial directories:\n\t~\t\tHome directory\n\t-\t\tPrevious directory\n\t..\t\tParent directory\n\t.\t\tCurrent directory\n\nOptions:\n\t-h, --help\tShow this help message"
+            type: 'builtin',
+            summary: 'Change directory',
+            description: 'Change the current working directory to DIR, or to HOME when no DIR is given.\n\nSpecial directories:\n\t~\t\tHome directory\n\t-\t\tPrevious directory\n\t..\t\tParent directory\n\t.\t\tCurrent directory',
+            args: [{ name: 'dir' }],
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
         try {
             let targetPath = argv._.length > 0 ? argv._[0] : terminal.env.HOME;
             const currentPath = terminal.vfs._absolute_path(terminal.vfs.cwd);
@@ -312,8 +677,8 @@ export class CdCommand extends Command {
                     break;
                 case '-':
                     if (!terminal.env.OLDPWD) {
-                        terminal.printHTML("-bash: cd: OLDPWD not set");
-                        return;
+                        terminal.printError("-bash: cd: OLDPWD not set");
+                        return 1;
                     }
                     targetPath = terminal.env.OLDPWD;
                     terminal.printHTML(targetPath);
@@ -336,51 +701,132 @@ export class CdCommand extends Command {
             terminal.setPrompt();
 
         } catch (error) {
-            terminal.printHTML(`-bash: cd: ${error.message}`);
+            terminal.printError(`-bash: cd: ${error.message}`);
+            return 1;
         }
     }
+
+    /**
+     * Complete directories only
+     * @param {Object} context - Completion context
+     * @returns {Array<Object>|null} Candidates
+     */
+    complete(context) {
+        if (context.word.startsWith('-')) return null;
+        return context.engine.paths(context.word, { directories: true });
+    }
 }
 
 /**
  * Echo command
  */
 export class EchoCommand extends Command {
+    /**
+     * Backslash escapes understood with -e
+     */
+    static ESCAPES = { '\\': '\\', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
     constructor() {
         super('echo', {
-            help: "<span class=\"cmd\">echo</span>: Display line of text\n\nDisplay the ARGs, separated by a single space character and\nfollowed by a newline, on the standard output.\n\nOptions:\n\t-n\t\tDo not output trailing newline\n\t-h, --help\tShow this help message"
+            type: 'builtin',
+            help: "<span class=\"cmd\">echo</span>: Display line of text\n\nDisplay the ARGs, separated by a single space character and\nfollowed by a newline, on the standard output.\n\nOptions:\n\t-n\t\tDo not output trailing newline\n\t-e\t\tInterpret backslash escapes, such as \\n and \\t\n\t-E\t\tDo not interpret backslash escapes (the default)\n\t--help\t\tShow this help message"
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        if (args[0] === '--help') {
             terminal.printHTML(this.help);
             return;
         }
 
-        if (argv._.length === 0) {
-            if (!argv.n) terminal.newLine();
-            return;
+        // Only leading -n, -e and -E words are options; anything else,
+        // such as -1 or -R, is printed as bash does
+        let newline = true;
+        let escapes = false;
+        while (args.length > 0 && /^-[neE]+$/.test(args[0])) {
+            for (const flag of args.shift().slice(1)) {
+                if (flag === 'n') newline = false;
+                else escapes = flag === 'e';
+            }
+        }
+
+        let output = args.join(' ');
+        if (escapes) {
+            const result = EchoCommand.unescape(output);
+            output = result.text;
+            if (result.stopped) newline = false;
         }
 
+        if (!newline) {
+            terminal.write(utils.escapeHTML(output));
+        } else if (output) {
+            terminal.print(output);
+        } else {
+            terminal.newLine();
+        }
+    }
+
+    /**
+     * Interpret the backslash escapes of `echo -e`: those in ESCAPES,
+     * `\0nnn` octal and `\xHH` hex character codes, and `\c`, which ends
+     * the output there
+     * @param {string} text - Text to unescape
+     * @returns {{text: string, stopped: boolean}} Text, and whether `\c` ended it
+     */
+    static unescape(text) {
         let output = '';
-        
-        for (let i = 0; i < argv._.length; i++) {
-            const arg = argv._[i];
-            
-            if (arg.startsWith("$")) {
-                const envVar = arg.slice(1);
-                output += terminal.env[envVar] || "";
+        let last = 0;
+
+        for (const match of text.matchAll(/\\(0[0-7]{0,3}|x[0-9a-fA-F]{1,2}|[\\abceEfnrtv])/g)) {
+            output += text.slice(last, match.index);
+            last = match.index + match[0].length;
+
+            const code = match[1];
+            if (code === 'c') return { text: output, stopped: true };
+
+            if (code[0] === '0') {
+                output += String.fromCharCode(parseInt(code.slice(1) || '0', 8));
+            } else if (code[0] === 'x') {
+                output += String.fromCharCode(parseInt(code.slice(1), 16));
             } else {
-                output += arg;
-            }
-            
-            if (i < argv._.length - 1) {
-                output += " ";
+                output += EchoCommand.ESCAPES[code];
             }
         }
 
-        terminal.print(output);
-        if (!argv.n) terminal.newLine();
+        return { text: output + text.slice(last), stopped: false };
+    }
+}
+
+/**
+ * True command
+ */
+export class TrueCommand extends Command {
+    constructor() {
+        super('true', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">true</span>: Do nothing, successfully\n\nExit with a status code indicating success."
+        });
+    }
+
+    async execute(terminal, argv) {
+        return 0;
+    }
+}
+
+/**
+ * False command
+ */
+export class FalseCommand extends Command {
+    constructor() {
+        super('false', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">false</span>: Do nothing, unsuccessfully\n\nExit with a status code indicating failure."
+        });
+    }
+
+    async execute(terminal, argv) {
+        return 1;
     }
 }
 
@@ -390,64 +836,192 @@ export class EchoCommand extends Command {
 export class CatCommand extends Command {
     constructor() {
         super('cat', {
-            help: "<span class=\"cmd\">cat</span>: Display file contents\n\nConcatenate FILE(s) to standard output.\n\nWith no FILE, or when FILE is -, read standard input.\n\nOptions:\n\t-n, --number\t\tNumber all output lines\n\t-h, --help\t\tShow this help message"
+            summary: 'Display file contents',
+            description: 'Concatenate FILE(s) to standard output.\n\nWith no FILE, or when FILE is -, read standard input.',
+            args: [{ name: 'file', variadic: true }],
+            options: [
+                { short: 'n', long: 'number', description: 'Number all output lines' }
+            ]
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
-        if (argv._.length === 0) {
-            terminal.printHTML("cat: missing file operand");
-            return;
+    async execute(terminal, argv, io = {}) {
+        if (argv._.length === 0 && io.stdin == null) {
+            terminal.printError("cat: missing file operand");
+            return 1;
         }
 
         try {
-            for (const fileName of argv._) {
-                const content = terminal.vfs.cat('', fileName);
-                
+            for (const { content } of this.readInputs(terminal, argv._, io)) {
                 if (argv.n || argv.number) {
-                    const lines = content.split('\n');
-                    lines.forEach((line, index) => {
+                    splitLines(content).forEach((line, index) => {
                         const lineNumber = (index + 1).toString().padStart(6, ' ');
-                        terminal.printHTML(`${lineNumber}  ${line}`);
+                        terminal.print(`${lineNumber}  ${line}`);
                     });
-                } else {
-                    terminal.printHTML(content);
+                } else if (content) {
+                    terminal.print(content.replace(/\n$/, ''));
                 }
             }
         } catch (error) {
-            terminal.printHTML(`cat: ${error.message}`);
+            terminal.printError(`cat: ${error.message}`);
+            return 1;
         }
     }
 }
 
 /**
- * Touch command for creating files
+ * Grep command for searching text
  */
-export class TouchCommand extends Command {
+export class GrepCommand extends Command {
     constructor() {
-        super('touch', {
-            help: "<span class=\"cmd\">touch</span>: Create empty file\n\nUpdate the access and modification times of each FILE to the current time.\nA FILE argument that does not exist is created empty.\n\nOptions:\n\t-h, --help\tShow this help message"
+        super('grep', {
+            summary: 'Print lines that match a pattern',
+            description: 'Search each FILE for lines matching the regular expression PATTERN.\nWith no FILE, read standard input.',
+            args: [{ name: 'pattern', required: true }, { name: 'file', variadic: true }],
+            options: [
+                { short: 'i', long: 'ignore-case', description: 'Ignore case distinctions' },
+                { short: 'v', long: 'invert-match', description: 'Select non-matching lines' },
+                { short: 'c', long: 'count', description: 'Print only a count of matching lines' },
+                { short: 'n', long: 'line-number', description: 'Prefix each line with its line number' }
+            ]
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
+    async execute(terminal, argv, io = {}) {
+        const [pattern, ...files] = argv._;
 
-        if (argv._.length === 0) {
-            terminal.printHTML("touch: missing file operand");
-            return;
-        }
+        let selected = 0;
 
         try {
-            for (const fileName of argv._) {
+            const regex = new RegExp(pattern, argv.i ? 'i' : '');
+            const sources = this.readInputs(terminal, files, io);
+            const showName = sources.length > 1;
+
+            for (const { name, content } of sources) {
+                const prefix = showName ? `${name}:` : '';
+                let count = 0;
+
+                splitLines(content).forEach((line, index) => {
+                    if (regex.test(line) === !!argv.v) return;
+                    count++;
+                    selected++;
+                    if (!argv.c) {
+                        terminal.print(`${prefix}${argv.n ? `${index + 1}:` : ''}${line}`);
+                    }
+                });
+
+                if (argv.c) {
+                    terminal.print(`${prefix}${count}`);
+                }
+            }
+        } catch (error) {
+            terminal.printError(`grep: ${error.message}`);
+            return 2;
+        }
+
+        return selected > 0 ? 0 : 1;
+    }
+}
+
+/**
+ * Word count command
+ */
+export class WcCommand extends Command {
+    constructor() {
+        super('wc', {
+            summary: 'Print newline, word, and byte counts',
+            description: 'Print the counts for each FILE. With no FILE, read standard input.',
+            args: [{ name: 'file', variadic: true }],
+            options: [
+                { short: 'l', long: 'lines', description: 'Print the newline counts' },
+                { short: 'w', long: 'words', description: 'Print the word counts' },
+                { short: 'c', long: 'bytes', description: 'Print the byte counts' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        try {
+            const all = !argv.l && !argv.w && !argv.c;
+            const sources = this.readInputs(terminal, argv._, io);
+
+            for (const { name, content } of sources) {
+                const counts = [];
+                if (all || argv.l) counts.push((content.match(/\n/g) || []).length);
+                if (all || argv.w) counts.push(content.split(/\s+/).filter(Boolean).length);
+                if (all || argv.c) counts.push(new Blob([content]).size);
+
+                const columns = counts.map(count => String(count).padStart(counts.length > 1 ? 7 : 0));
+                terminal.print([...columns, name === '-' ? '' : name].join(' ').trim());
+            }
+        } catch (error) {
+            terminal.printError(`wc: ${error.message}`);
+            return 1;
+        }
+    }
+}
+
+/**
+ * Sort lines command
+ */
+export class SortCommand extends Command {
+    constructor() {
+        super('sort', {
+            summary: 'Sort lines of text',
+            description: 'Write the sorted concatenation of all FILEs to standard output.\nWith no FILE, read standard input.',
+            args: [{ name: 'file', variadic: true }],
+            options: [
+                { short: 'r', long: 'reverse', description: 'Reverse the result of comparisons' },
+                { short: 'n', long: 'numeric-sort', description: 'Compare according to numerical value' },
+                { short: 'u', long: 'unique', description: 'Output only the first of equal lines' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        try {
+            let lines = this.readInputs(terminal, argv._, io)
+                .flatMap(({ content }) => splitLines(content));
+
+            const compare = argv.n
+                ? (a, b) => (parseFloat(a) || 0) - (parseFloat(b) || 0)
+                : (a, b) => a.localeCompare(b);
+
+            lines.sort(compare);
+
+            if (argv.u) {
+                lines = lines.filter((line, index) => index === 0 || compare(lines[index - 1], line) !== 0);
+            }
+            if (argv.r) {
+                lines.reverse();
+            }
+
+            for (const line of lines) {
+                terminal.print(line);
+            }
+        } catch (error) {
+            terminal.printError(`sort: ${error.message}`);
+            return 1;
+        }
+    }
+}
+
+/**
+ * Touch command for creating files
+ */
+export class TouchCommand extends Command {
+    constructor() {
+        super('touch', {
+            summary: 'Create empty file',
+            description: 'Update the access and modification times of each FILE to the current time.\nA FILE argument that does not exist is created empty.',
+            args: [{ name: 'file', required: true, variadic: true }],
+            options: []
+        });
+    }
+
+    async execute(terminal, argv) {
+        try {
+            for (const fileName of argv._) {
                 // Check if file exists
                 try {
                     const existingContent = terminal.vfs.cat('', fileName);
@@ -458,134 +1032,1500 @@ export class TouchCommand extends Command {
                     terminal.vfs.cat('>', fileName, '');
                 }
             }
-        } catch (error) {
-            terminal.printHTML(`touch: ${error.message}`);
+        } catch (error) {
+            terminal.printError(`touch: ${error.message}`);
+            return 1;
+        }
+    }
+}
+
+/**
+ * Mkdir command for creating directories
+ */
+export class MkdirCommand extends Command {
+    constructor() {
+        super('mkdir', {
+            summary: 'Create directories',
+            description: 'Create the DIRECTORY(ies), if they do not already exist.',
+            args: [{ name: 'directory', required: true, variadic: true }],
+            options: [
+                { short: 'p', long: 'parents', description: 'Make parent directories as needed' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv) {
+        const parents = argv.parents;
+        let status = 0;
+
+        for (const dirName of argv._) {
+            try {
+                // Without -p, the directory must be new and its parent must exist
+                if (!parents) this._checkNew(terminal, dirName);
+                terminal.vfs.mkdir(dirName);
+            } catch (error) {
+                terminal.printError(`mkdir: ${error.message}`);
+                status = 1;
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Check that a directory can be created without creating its parents
+     * @param {TerminalEmulator} terminal - Terminal instance
+     * @param {string} dirName - Directory to create
+     * @throws {Error} If it exists, or its parent does not
+     * @private
+     */
+    _checkNew(terminal, dirName) {
+        const path = dirName.replace(/(.)\/+$/, '$1');
+        const slash = path.lastIndexOf('/');
+        const parent = slash > 0 ? path.slice(0, slash) : (slash === 0 ? '/' : '.');
+        const exists = (target) => {
+            try {
+                return terminal.vfs._resolve_path(target);
+            } catch {
+                return null;
+            }
+        };
+
+        if (exists(path)) {
+            throw new Error(`cannot create directory '${dirName}': File exists`);
+        }
+        if (exists(parent)?.type !== 'dir') {
+            throw new Error(`cannot create directory '${dirName}': No such file or directory`);
+        }
+    }
+}
+
+/**
+ * Remove files command
+ */
+export class RmCommand extends Command {
+    constructor() {
+        super('rm', {
+            summary: 'Remove files',
+            description: 'Remove (unlink) the FILE(s).',
+            args: [{ name: 'file', required: true, variadic: true }],
+            options: [
+                { short: 'i', long: 'interactive', description: 'Prompt before every removal' },
+                { short: 'f', long: 'force', description: 'Ignore nonexistent files, never prompt' },
+                { short: 'r', long: 'recursive', description: 'Remove directories and their contents recursively' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv) {
+        try {
+            for (const fileName of argv._) {
+                if (argv.interactive) {
+                    const confirm = await terminal.confirm(`Remove '${fileName}'?`);
+                    if (!confirm) continue;
+                }
+                
+                terminal.vfs.rm(fileName);
+            }
+        } catch (error) {
+            if (!argv.force) {
+                terminal.printError(`rm: ${error.message}`);
+                return 1;
+            }
+        }
+    }
+}
+
+/**
+ * Change file mode command
+ */
+export class ChmodCommand extends Command {
+    constructor() {
+        super('chmod', {
+            help: "<span class=\"cmd\">chmod</span>: Change file mode bits\n\nChange the permissions of each FILE to MODE. MODE is either three octal\ndigits, such as 755, or a comma-separated list of symbolic changes, such\nas u+x or go-w.\n\nUsage: chmod MODE FILE...\n\nOptions:\n\t-h, --help\tShow this help message"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        if (argv.help) {
+            terminal.printHTML(this.help);
+            return;
+        }
+
+        const [mode, ...files] = this.rawArgs(argv, io);
+
+        if (files.length === 0) {
+            terminal.printError(mode === undefined ? "chmod: missing operand" : `chmod: missing operand after '${mode}'`);
+            return 1;
+        }
+
+        let status = 0;
+
+        for (const file of files) {
+            let node;
+            try {
+                node = terminal.vfs._resolve_path(file);
+            } catch {
+                terminal.printError(`chmod: cannot access '${file}': No such file or directory`);
+                status = 1;
+                continue;
+            }
+
+            const permissions = ChmodCommand.applyMode(node.permissions || (node.type === 'dir' ? 'rwxr-xr-x' : 'rw-r--r--'), mode);
+            if (permissions === null) {
+                terminal.printError(`chmod: invalid mode: '${mode}'`);
+                return 1;
+            }
+            node.permissions = permissions;
+        }
+
+        return status;
+    }
+
+    /**
+     * Apply an octal or symbolic mode to a permission string
+     * @param {string} permissions - Current permissions, such as 'rw-r--r--'
+     * @param {string} mode - Mode such as '755' or 'u+x,go-w'
+     * @returns {string|null} New permissions, or null if the mode is invalid
+     */
+    static applyMode(permissions, mode) {
+        const bits = ['r', 'w', 'x'];
+
+        if (/^[0-7]{3}$/.test(mode)) {
+            return [...mode].map(digit => bits.map((bit, i) => (digit & (4 >> i)) ? bit : '-').join('')).join('');
+        }
+
+        const result = [...permissions];
+
+        for (const clause of mode.split(',')) {
+            const match = clause.match(/^([ugoa]*)([-+=])([rwx]*)$/);
+            if (!match) return null;
+
+            const [, who, operator, perms] = match;
+            const classes = !who || who.includes('a') ? [0, 1, 2] : [...who].map(c => 'ugo'.indexOf(c));
+
+            for (const group of classes) {
+                bits.forEach((bit, i) => {
+                    const index = group * 3 + i;
+                    if (perms.includes(bit)) {
+                        result[index] = operator === '-' ? '-' : bit;
+                    } else if (operator === '=') {
+                        result[index] = '-';
+                    }
+                });
+            }
+        }
+
+        return result.join('');
+    }
+}
+
+/**
+ * Who am I command
+ */
+export class WhoamiCommand extends Command {
+    constructor() {
+        super('whoami', {
+            summary: 'Print effective user name',
+            description: 'Print the user name associated with the current effective user ID.',
+            options: []
+        });
+    }
+
+    async execute(terminal, argv) {
+        terminal.print(terminal.env.USER || 'demo');
+    }
+}
+
+/**
+ * Switch user command
+ */
+export class SuCommand extends Command {
+    constructor() {
+        super('su', {
+            help: "<span class=\"cmd\">su</span>: Switch user\n\nBecome USER (root by default): change to their home directory, load\ntheir aliases and run their ~/.profile and ~/.bashrc.\n\nUsage: su [-] [USER]\n\nOptions:\n\t-, -l, --login\tAccepted for compatibility; every switch is a login\n\t-h, --help\t\tShow this help message"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        if (argv.help) {
+            terminal.printHTML(this.help);
+            return;
+        }
+
+        const [name = 'root'] = this.rawArgs(argv, io).filter(arg => !['-', '-l', '--login'].includes(arg));
+
+        try {
+            await terminal.switchUser(name);
+        } catch (error) {
+            terminal.printError(`su: ${error.message}`);
+            return 1;
+        }
+    }
+}
+
+/**
+ * Date command
+ */
+export class DateCommand extends Command {
+    constructor() {
+        super('date', {
+            summary: 'Print the date',
+            description: 'Display the current date and time.',
+            options: [
+                { short: 'u', long: 'utc', description: 'Print Coordinated Universal Time' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv) {
+        const now = new Date();
+        terminal.print(argv.utc ? now.toUTCString() : now.toString());
+    }
+}
+
+/**
+ * Dirname command
+ */
+export class DirnameCommand extends Command {
+    constructor() {
+        super('dirname', {
+            summary: 'Strip last component from file name',
+            description: "Output each NAME with its last non-slash component and trailing slashes\nremoved; if NAME contains no /'s, output '.'.",
+            args: [{ name: 'name', required: true, variadic: true }],
+            options: []
+        });
+    }
+
+    async execute(terminal, argv) {
+        for (const name of argv._) {
+            const trimmed = name.replace(/(.)\/+$/, '$1');
+            const index = trimmed.lastIndexOf('/');
+            const dir = index === -1 ? '.' : trimmed.slice(0, index).replace(/\/+$/, '');
+            terminal.print(dir || '/');
+        }
+    }
+}
+
+/**
+ * Basename command
+ */
+export class BasenameCommand extends Command {
+    constructor() {
+        super('basename', {
+            summary: 'Strip directory from file name',
+            description: 'Print NAME with any leading directory components removed.\nIf specified, also remove a trailing SUFFIX.',
+            args: [{ name: 'name', required: true }, { name: 'suffix' }],
+            options: []
+        });
+    }
+
+    async execute(terminal, argv) {
+        const [name, suffix] = argv._;
+
+        let base = name.replace(/\/+$/, '').split('/').pop() || (name ? '/' : '');
+        if (suffix && base !== suffix && base.endsWith(suffix)) {
+            base = base.slice(0, -suffix.length);
+        }
+        terminal.print(base);
+    }
+}
+
+/**
+ * Set environment variables command
+ */
+export class SetCommand extends Command {
+    constructor() {
+        super('set', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">set</span>: Set shell variables\n\nSet each NAME to VALUE in the environment.\n\nWith no options, display all shell variables.\n\nUsage: set [NAME=VALUE]\n\nOptions:\n\t-h, --help\tShow this help message\n\t-u, --unset=NAME\tRemove variable from environmrnt"
+        });
+    }
+
+    async execute(terminal, argv) {
+        if (argv.help || argv.h) {
+            terminal.printHTML(this.help);
+            return;
+        }
+
+        if (argv._.length === 0) {
+            // Display all environment variables
+            const sortedKeys = Object.keys(terminal.env).sort();
+            for (const key of sortedKeys) {
+                terminal.printHTML(`${key}=${terminal.env[key]}`);
+            }
+            return;
+        }
+
+        if (argv._.length < 2) {
+            terminal.printError("set: Usage: set [key] [value]");
+            return 1;
+        }
+
+        const [key, ...valueParts] = argv._;
+        const value = valueParts.join(' ');
+        terminal.env[key.toUpperCase()] = value;
+        terminal.printHTML(`<span class="info">${key.toUpperCase()}</span> set to <span class="success">${value}</span>`);
+    }
+}
+
+/**
+ * Alias command
+ */
+export class AliasCommand extends Command {
+    constructor() {
+        super('alias', {
+            type: 'builtin',
+            summary: 'Define or display aliases',
+            synopsis: '[-p] [<span class="parameter">name</span>[=<span class="parameter">value</span>] ...]',
+            description: 'Without arguments, <span class="cmd">alias</span> prints the list of aliases in the form\nalias NAME=VALUE. Otherwise, an alias is defined for each NAME whose\nVALUE is given, and the alias of each NAME without a VALUE is printed.\n\nWhen a command starts with an alias, the alias is replaced by its VALUE.\nA VALUE ending in a space makes the next word be checked for an alias too.',
+            args: [{ name: 'name', variadic: true }],
+            options: [
+                { short: 'p', description: 'Print all defined aliases' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv) {
+        if (argv._.length === 0 || argv.p) {
+            for (const [name] of terminal.aliases.list()) {
+                terminal.print(terminal.aliases.format(name));
+            }
+            if (argv._.length === 0) return;
+        }
+
+        let status = 0;
+
+        for (const arg of argv._) {
+            const separator = arg.indexOf('=');
+
+            try {
+                if (separator === -1) {
+                    if (!terminal.aliases.has(arg)) {
+                        throw new Error(`${arg}: not found`);
+                    }
+                    terminal.print(terminal.aliases.format(arg));
+                } else {
+                    terminal.aliases.set(arg.slice(0, separator), arg.slice(separator + 1));
+                }
+            } catch (error) {
+                terminal.printError(`-bash: alias: ${error.message}`);
+                status = 1;
+            }
+        }
+
+        return status;
+    }
+}
+
+/**
+ * Unalias command
+ */
+export class UnaliasCommand extends Command {
+    constructor() {
+        super('unalias', {
+            type: 'builtin',
+            summary: 'Remove aliases',
+            synopsis: '[-a] <span class="parameter">name</span> [<span class="parameter">name</span> ...]',
+            description: 'Remove each NAME from the list of defined aliases.',
+            args: [{ name: 'name', variadic: true }],
+            options: [
+                { short: 'a', description: 'Remove all alias definitions' }
+            ]
+        });
+    }
+
+    async execute(terminal, argv) {
+        if (argv.a) {
+            terminal.aliases.clear();
+            return;
+        }
+
+        if (argv._.length === 0) {
+            terminal.printError("unalias: usage: unalias [-a] name [name ...]");
+            return 2;
+        }
+
+        let status = 0;
+
+        for (const name of argv._) {
+            if (!terminal.aliases.remove(name)) {
+                terminal.printError(`-bash: unalias: ${name}: not found`);
+                status = 1;
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Complete alias names
+     * @param {Object} context - Completion context
+     * @returns {Array<string>|null} Candidates
+     */
+    complete(context) {
+        if (context.word.startsWith('-')) return null;
+        return context.terminal.aliases.list().map(([name]) => name);
+    }
+}
+
+/**
+ * Export command
+ */
+export class ExportCommand extends Command {
+    constructor() {
+        super('export', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">export</span>: [<span class=\"parameter\">name</span>[=<span class=\"parameter\">value</span>] ...]\n\tSet shell variables.\n\n\tEach NAME given with a VALUE is set to that value. Without arguments,\n\tor with -p, all variables are listed in a form that can be read back in.\n\n\tOptions:\n\t&emsp;-p\tList all variables\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+
+        if (args.length === 0 || args[0] === '-p') {
+            for (const name of Object.keys(terminal.env).sort()) {
+                if (/^[A-Za-z_]\w*$/.test(name) && terminal.env[name] != null) {
+                    terminal.print(`declare -x ${name}="${String(terminal.env[name]).replace(/["\\$`]/g, '\\$&')}"`);
+                }
+            }
+            return;
+        }
+
+        let status = 0;
+
+        for (const arg of args) {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg : arg.slice(0, separator);
+
+            if (!/^[A-Za-z_]\w*$/.test(name)) {
+                terminal.printError(`-bash: export: \`${arg}': not a valid identifier`);
+                status = 1;
+            } else if (separator !== -1) {
+                terminal.env[name] = arg.slice(separator + 1);
+            }
+        }
+
+        return status;
+    }
+}
+
+/**
+ * Unset command
+ */
+export class UnsetCommand extends Command {
+    constructor() {
+        super('unset', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">unset</span>: [-f] [-v] <span class=\"parameter\">name</span> [<span class=\"parameter\">name</span> ...]\n\tUnset values of shell variables and functions.\n\n\tWithout options, each NAME is unset as a variable, or as a function\n\tif there is no variable of that name.\n\n\tOptions:\n\t&emsp;-f\tTreat each NAME as a shell function\n\t&emsp;-v\tTreat each NAME as a shell variable\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const functions = args.includes('-f');
+        const variables = args.includes('-v');
+        let status = 0;
+
+        for (const name of args.filter(arg => arg !== '-f' && arg !== '-v')) {
+            if (functions) {
+                terminal.commandManager.removeFunction(name);
+                continue;
+            }
+
+            if (!/^[A-Za-z_]\w*$/.test(name)) {
+                terminal.printError(`-bash: unset: \`${name}': not a valid identifier`);
+                status = 1;
+                continue;
+            }
+
+            if (!variables && !Object.hasOwn(terminal.env, name)) {
+                terminal.commandManager.removeFunction(name);
+            }
+            delete terminal.env[name];
+        }
+
+        return status;
+    }
+}
+
+/**
+ * Test command, also available as `[`
+ */
+export class TestCommand extends Command {
+    /**
+     * Unary operators and the checks they make on their operand
+     */
+    static UNARY = {
+        '-z': (terminal, value) => value === '',
+        '-n': (terminal, value) => value !== '',
+        '-e': (terminal, path) => !!TestCommand._node(terminal, path),
+        '-f': (terminal, path) => !!TestCommand._node(terminal, path) && TestCommand._node(terminal, path).type !== 'dir',
+        '-d': (terminal, path) => TestCommand._node(terminal, path)?.type === 'dir',
+        '-s': (terminal, path) => !!TestCommand._node(terminal, path)?.contents?.length && TestCommand._node(terminal, path).type !== 'dir',
+        '-r': (terminal, path) => !!TestCommand._node(terminal, path),
+        '-w': (terminal, path) => !!TestCommand._node(terminal, path),
+        '-x': (terminal, path) => {
+            const node = TestCommand._node(terminal, path);
+            return !!node && (node.type === 'dir' || node.type === 'exec' || !!node.permissions?.includes('x'));
+        },
+        '-L': () => false,
+        '-h': () => false
+    };
+
+    /**
+     * Binary operators comparing strings
+     */
+    static STRING_OPERATORS = {
+        '=': (a, b) => a === b,
+        '==': (a, b) => a === b,
+        '!=': (a, b) => a !== b,
+        '<': (a, b) => a < b,
+        '>': (a, b) => a > b
+    };
+
+    /**
+     * Binary operators comparing integers
+     */
+    static INTEGER_OPERATORS = {
+        '-eq': (a, b) => a === b,
+        '-ne': (a, b) => a !== b,
+        '-lt': (a, b) => a < b,
+        '-le': (a, b) => a <= b,
+        '-gt': (a, b) => a > b,
+        '-ge': (a, b) => a >= b
+    };
+
+    /**
+     * Create a test command
+     * @param {string} [name='test'] - 'test', or '[' for the form that ends with `]`
+     */
+    constructor(name = 'test') {
+        super(name, {
+            type: 'builtin',
+            help: "<span class=\"cmd\">test</span>: [<span class=\"parameter\">expr</span>]\n\tEvaluate conditional expression.\n\n\tExits with a status of 0 (true) or 1 (false) depending on the\n\tevaluation of EXPR. <span class=\"cmd\">[</span> EXPR <span class=\"cmd\">]</span> is the same, but the last argument must be `]'.\n\n\tFile operators:\n\t&emsp;-e FILE\tTrue if file exists\n\t&emsp;-f FILE\tTrue if file exists and is not a directory\n\t&emsp;-d FILE\tTrue if file is a directory\n\t&emsp;-s FILE\tTrue if file is not empty\n\t&emsp;-x FILE\tTrue if file is executable\n\n\tString operators:\n\t&emsp;-z STRING\tTrue if string is empty\n\t&emsp;-n STRING\tTrue if string is not empty\n\t&emsp;S1 = S2\tTrue if the strings are equal\n\t&emsp;S1 != S2\tTrue if the strings are not equal\n\n\tInteger operators:\n\t&emsp;-eq, -ne, -lt, -le, -gt, -ge\n\n\tOther operators:\n\t&emsp;! EXPR\tTrue if expr is false\n\t&emsp;EXPR1 -a EXPR2\tTrue if both are true\n\t&emsp;EXPR1 -o EXPR2\tTrue if either is true\n\t&emsp;( EXPR )\tGrouping\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        let args = this.rawArgs(argv, io);
+
+        if (this.name === '[') {
+            if (args[args.length - 1] !== ']') {
+                terminal.printError("-bash: [: missing `]'");
+                return 2;
+            }
+            args = args.slice(0, -1);
+        }
+
+        try {
+            return this.evaluate(terminal, args) ? 0 : 1;
+        } catch (error) {
+            terminal.printError(`-bash: ${this.name}: ${error.message}`);
+            return 2;
+        }
+    }
+
+    /**
+     * Evaluate a test expression
+     * @param {Object} terminal - Terminal instance
+     * @param {Array<string>} args - Expression arguments
+     * @returns {boolean} Result
+     * @throws {Error} On a malformed expression
+     */
+    evaluate(terminal, args) {
+        if (args.length === 0) return false;
+
+        let index = 0;
+
+        const primary = () => {
+            const arg = args[index];
+
+            if (arg === undefined) {
+                throw new Error('argument expected');
+            }
+            if (arg === '(' && index + 1 < args.length) {
+                index++;
+                const value = or();
+                if (args[index++] !== ')') {
+                    throw new Error("`)' expected");
+                }
+                return value;
+            }
+
+            const operator = args[index + 1];
+            if (index + 2 < args.length && (TestCommand.STRING_OPERATORS[operator] || TestCommand.INTEGER_OPERATORS[operator])) {
+                const [left, right] = [arg, args[index + 2]];
+                index += 3;
+
+                if (TestCommand.STRING_OPERATORS[operator]) {
+                    return TestCommand.STRING_OPERATORS[operator](left, right);
+                }
+                return TestCommand.INTEGER_OPERATORS[operator](TestCommand._integer(left), TestCommand._integer(right));
+            }
+
+            if (Object.hasOwn(TestCommand.UNARY, arg) && index + 1 < args.length) {
+                index += 2;
+                return TestCommand.UNARY[arg](terminal, args[index - 1]);
+            }
+
+            index++;
+            return arg !== '';
+        };
+
+        const not = () => {
+            if (args[index] === '!' && index + 1 < args.length) {
+                index++;
+                return !not();
+            }
+            return primary();
+        };
+
+        const and = () => {
+            let value = not();
+            while (args[index] === '-a') {
+                index++;
+                value = not() && value;
+            }
+            return value;
+        };
+
+        const or = () => {
+            let value = and();
+            while (args[index] === '-o') {
+                index++;
+                value = and() || value;
+            }
+            return value;
+        };
+
+        const result = or();
+        if (index < args.length) {
+            throw new Error('too many arguments');
+        }
+        return result;
+    }
+
+    /**
+     * Parse an integer operand
+     * @param {string} value - Operand
+     * @returns {number} Integer value
+     * @throws {Error} If the operand is not an integer
+     * @private
+     */
+    static _integer(value) {
+        if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+            throw new Error(`${value}: integer expression expected`);
+        }
+        return parseInt(value, 10);
+    }
+
+    /**
+     * Find a filesystem node without throwing
+     * @param {Object} terminal - Terminal instance
+     * @param {string} path - Path to look up
+     * @returns {Object|null} Node, or null if it does not exist
+     * @private
+     */
+    static _node(terminal, path) {
+        if (!path) return null;
+        try {
+            return terminal.vfs._resolve_path(path);
+        } catch {
+            return null;
+        }
+    }
+}
+
+/**
+ * Source command, also available as `.`
+ */
+export class SourceCommand extends Command {
+    /**
+     * Create a source command
+     * @param {string} [name='source'] - 'source' or '.'
+     */
+    constructor(name = 'source') {
+        super(name, {
+            type: 'builtin',
+            help: "<span class=\"cmd\">source</span>: <span class=\"parameter\">filename</span> [<span class=\"parameter\">arguments</span>]\n\tExecute commands from a file in the current shell.\n\n\tRead and execute commands from FILENAME in the current shell, so that\n\tvariables, aliases and the working directory it changes stay changed.\n\tARGUMENTS become the positional parameters while FILENAME runs.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const [file, ...args] = this.rawArgs(argv, io);
+
+        if (file === undefined) {
+            terminal.printError(`-bash: ${this.name}: filename argument required`);
+            return 2;
+        }
+
+        let source;
+        try {
+            source = terminal.interpreter.readScript(file);
+        } catch (error) {
+            terminal.printError(`-bash: ${file}: ${error.message}`);
+            return 1;
+        }
+
+        return await terminal.interpreter.runScript(source, { name: file, args: args.length > 0 ? args : null, io });
+    }
+}
+
+/**
+ * Shell command, also available as `bash`
+ */
+export class ShCommand extends Command {
+    /**
+     * Create a shell command
+     * @param {string} [name='sh'] - 'sh' or 'bash'
+     */
+    constructor(name = 'sh') {
+        super(name, {
+            help: "<span class=\"cmd\">sh</span>: [<span class=\"parameter\">file</span> [<span class=\"parameter\">arguments</span>]] | -c <span class=\"parameter\">command</span> [<span class=\"parameter\">name</span> [<span class=\"parameter\">arguments</span>]]\n\tRun a shell script.\n\n\tRun the commands in FILE, or in COMMAND with -c, or read from\n\tstandard input when neither is given. The script runs in a subshell:\n\tvariables it sets and directories it changes to are not kept.\n\tARGUMENTS become the positional parameters $1, $2...\n\n\tOptions:\n\t&emsp;-c\tRun the COMMAND string\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const interpreter = terminal.interpreter;
+
+        if (args[0] === '-c') {
+            if (args.length < 2) {
+                terminal.printError(`-bash: ${this.name}: -c: option requires an argument`);
+                return 2;
+            }
+            return await interpreter.runScript(args[1], { name: args[2] ?? this.name, args: args.slice(3), io, subshell: true });
+        }
+
+        if (args.length === 0) {
+            return await interpreter.runScript(io.stdin ?? '', { name: this.name, args: [], io: { ...io, stdin: null }, subshell: true });
+        }
+
+        const [file, ...rest] = args;
+        let source;
+        try {
+            source = interpreter.readScript(file);
+        } catch (error) {
+            terminal.printError(`${this.name}: ${file}: ${error.message}`);
+            return 127;
+        }
+
+        return await interpreter.runScript(source, { name: file, args: rest, io, subshell: true });
+    }
+}
+
+/**
+ * Exit command
+ */
+export class ExitCommand extends Command {
+    constructor() {
+        super('exit', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">exit</span>: [<span class=\"parameter\">n</span>]\n\tExit the shell.\n\n\tExits the running script with a status of N. If N is omitted, the exit\n\tstatus is that of the last command executed.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const [code] = this.rawArgs(argv, io);
+        let status = parseInt(terminal.env['?'], 10) || 0;
+
+        if (code !== undefined) {
+            if (/^[-+]?\d+$/.test(code)) {
+                status = ((parseInt(code, 10) % 256) + 256) % 256;
+            } else {
+                terminal.printError(`-bash: exit: ${code}: numeric argument required`);
+                status = 2;
+            }
+        }
+
+        throw new ControlFlow('exit', status);
+    }
+}
+
+/**
+ * Loop control command: `break` or `continue`
+ */
+export class LoopControlCommand extends Command {
+    /**
+     * Create a loop control command
+     * @param {string} name - 'break' or 'continue'
+     */
+    constructor(name) {
+        const action = name === 'break' ? 'Exit' : 'Resume the next iteration of';
+
+        super(name, {
+            type: 'builtin',
+            help: `<span class="cmd">${name}</span>: [<span class="parameter">n</span>]\n\t${action} for, while, or until loops.\n\n\t${action} the enclosing loop. If N is specified, ${name === 'break' ? 'break' : 'resume at'} N enclosing loops.\n\n`
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const [count = '1'] = this.rawArgs(argv, io);
+
+        if (!/^\d+$/.test(count)) {
+            terminal.printError(`-bash: ${this.name}: ${count}: numeric argument required`);
+            return 1;
+        }
+        if (parseInt(count, 10) < 1) {
+            terminal.printError(`-bash: ${this.name}: ${count}: loop count out of range`);
+            return 1;
+        }
+
+        const depth = terminal.interpreter.loopDepth;
+        if (depth === 0) {
+            terminal.printError(`-bash: ${this.name}: only meaningful in a \`for', \`while', or \`until' loop`);
+            return 0;
+        }
+
+        throw new ControlFlow(this.name, Math.min(parseInt(count, 10), depth));
+    }
+}
+
+/**
+ * Local command
+ */
+export class LocalCommand extends Command {
+    constructor() {
+        super('local', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">local</span>: <span class=\"parameter\">name</span>[=<span class=\"parameter\">value</span>] ...\n\tDefine local variables.\n\n\tCreate a variable called NAME, and give it VALUE. The variable is only\n\tvisible to the function it is declared in and the functions it calls;\n\tits previous value comes back when the function returns.\n\n\tLocal variables can only be used within a function.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        let status = 0;
+
+        for (const arg of this.rawArgs(argv, io)) {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg : arg.slice(0, separator);
+
+            if (!/^[A-Za-z_]\w*$/.test(name)) {
+                terminal.printError(`-bash: local: \`${arg}': not a valid identifier`);
+                status = 1;
+                continue;
+            }
+
+            try {
+                terminal.interpreter.declareLocal(name, separator === -1 ? undefined : arg.slice(separator + 1));
+            } catch (error) {
+                terminal.printError(`-bash: local: ${error.message}`);
+                return 1;
+            }
+        }
+
+        return status;
+    }
+}
+
+/**
+ * Return command
+ */
+export class ReturnCommand extends Command {
+    constructor() {
+        super('return', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">return</span>: [<span class=\"parameter\">n</span>]\n\tReturn from a shell function.\n\n\tCauses a function or sourced script to exit with the return value\n\tspecified by N. If N is omitted, the return status is that of the\n\tlast command executed within the function or script.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const [code] = this.rawArgs(argv, io);
+        let status = parseInt(terminal.env['?'], 10) || 0;
+
+        if (!terminal.interpreter.canReturn()) {
+            terminal.printError("-bash: return: can only `return' from a function or sourced script");
+            return 1;
+        }
+
+        if (code !== undefined) {
+            if (!/^[-+]?\d+$/.test(code)) {
+                terminal.printError(`-bash: return: ${code}: numeric argument required`);
+                return 2;
+            }
+            status = ((parseInt(code, 10) % 256) + 256) % 256;
+        }
+
+        throw new ControlFlow('return', status);
+    }
+}
+
+/**
+ * Declare command
+ */
+export class DeclareCommand extends Command {
+    constructor() {
+        super('declare', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">declare</span>: [-f|-F] [<span class=\"parameter\">name</span>[=<span class=\"parameter\">value</span>] ...]\n\tSet variable values and attributes, or display functions.\n\n\tWithout NAMEs, display all variables and functions. Inside a function,\n\tthe variables declared are local, as with <span class=\"cmd\">local</span>.\n\n\tOptions:\n\t&emsp;-f\tDisplay the definitions of functions\n\t&emsp;-F\tDisplay function names only\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const functions = terminal.commandManager;
+        const option = ['-f', '-F'].includes(args[0]) ? args.shift() : null;
+
+        if (option) {
+            const names = args.length > 0 ? args : functions.listFunctions();
+            let status = 0;
+
+            for (const name of names) {
+                if (!functions.getFunction(name)) {
+                    status = 1;
+                } else if (option === '-F') {
+                    terminal.print(args.length > 0 ? name : `declare -f ${name}`);
+                } else {
+                    terminal.print(functions.formatFunction(name));
+                }
+            }
+            return status;
+        }
+
+        if (args.length === 0) {
+            for (const name of Object.keys(terminal.env).sort()) {
+                if (/^[A-Za-z_]\w*$/.test(name) && terminal.env[name] != null) {
+                    terminal.print(`${name}=${utils.shellQuote(String(terminal.env[name]))}`);
+                }
+            }
+            for (const name of functions.listFunctions()) {
+                terminal.print(functions.formatFunction(name));
+            }
+            return;
+        }
+
+        let status = 0;
+
+        for (const arg of args) {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg : arg.slice(0, separator);
+            const value = separator === -1 ? undefined : arg.slice(separator + 1);
+
+            if (!/^[A-Za-z_]\w*$/.test(name)) {
+                terminal.printError(`-bash: declare: \`${arg}': not a valid identifier`);
+                status = 1;
+            } else if (terminal.interpreter.scopes.length > 0) {
+                terminal.interpreter.declareLocal(name, value);
+            } else if (value !== undefined) {
+                terminal.env[name] = value;
+            }
+        }
+
+        return status;
+    }
+}
+
+/**
+ * Type command
+ */
+export class TypeCommand extends Command {
+    constructor() {
+        super('type', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">type</span>: [-a] [-t] <span class=\"parameter\">name</span> [<span class=\"parameter\">name</span> ...]\n\tDisplay information about command type.\n\n\tFor each NAME, indicate how it would be interpreted if used as a\n\tcommand name: as an alias, shell keyword, function, builtin or file.\n\n\tOptions:\n\t&emsp;-a\tDisplay every place that contains NAME, not just the first\n\t&emsp;-t\tOutput a single word: alias, keyword, function, builtin or file\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const all = args.includes('-a');
+        const terse = args.includes('-t');
+        let status = 0;
+
+        for (const name of args.filter(arg => arg !== '-a' && arg !== '-t')) {
+            const matches = terminal.interpreter.resolve(name);
+
+            if (matches.length === 0) {
+                if (!terse) terminal.printError(`-bash: type: ${name}: not found`);
+                status = 1;
+                continue;
+            }
+
+            for (const match of all ? matches : matches.slice(0, 1)) {
+                if (terse) {
+                    terminal.print(match.type);
+                } else {
+                    TypeCommand.describe(terminal, name, match).forEach(line => terminal.print(line));
+                }
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Describe what a name resolves to, the way `type` prints it
+     * @param {Object} terminal - Terminal instance
+     * @param {string} name - Command name
+     * @param {{type: string, value?: *}} match - A match from the interpreter's resolve()
+     * @returns {Array<string>} Lines to print
+     */
+    static describe(terminal, name, { type, value }) {
+        switch (type) {
+            case 'alias':
+                return [`${name} is aliased to \`${value}'`];
+            case 'keyword':
+                return [`${name} is a shell keyword`];
+            case 'function':
+                return [`${name} is a function`, terminal.commandManager.formatFunction(name)];
+            case 'builtin':
+                return [`${name} is a shell builtin`];
+            default:
+                return [`${name} is ${value}`];
         }
     }
 }
 
 /**
- * Mkdir command for creating directories
+ * Command builtin: run a command without looking up functions, or tell
+ * what a name resolves to
  */
-export class MkdirCommand extends Command {
+export class CommandCommand extends Command {
     constructor() {
-        super('mkdir', {
-            help: "<span class=\"cmd\">mkdir</span>: Create directories\n\nCreate the DIRECTORY(ies), if they do not already exist.\n\nOptions:\n\t-p, --parents\tMake parent directories as needed\n\t-h, --help\t\tShow this help message"
+        super('command', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">command</span>: [-v] [-V] <span class=\"parameter\">command</span> [<span class=\"parameter\">arg</span> ...]\n\tExecute a simple command or display information about commands.\n\n\tRuns COMMAND with ARGS without looking up shell functions, so a\n\tfunction can call the builtin or program it wraps.\n\n\tOptions:\n\t&emsp;-v\tPrint the alias, name or path that COMMAND resolves to\n\t&emsp;-V\tPrint a description of COMMAND like <span class=\"cmd\">type</span>\n\n"
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        let mode = null;
+
+        while (/^-[vV]+$/.test(args[0] ?? '')) {
+            const flags = args.shift();
+            mode = flags.includes('V') || mode === 'V' ? 'V' : 'v';
         }
+        if (args[0] === '--') args.shift();
+        if (args.length === 0) return 0;
 
-        if (argv._.length === 0) {
-            terminal.printHTML("mkdir: missing operand");
-            return;
+        if (!mode) {
+            return await terminal.interpreter.runCommand(args, io);
         }
 
-        try {
-            for (const dirName of argv._) {
-                terminal.vfs.mkdir(dirName);
+        let status = 0;
+
+        for (const name of args) {
+            const match = terminal.interpreter.resolve(name)[0];
+
+            if (!match) {
+                if (mode === 'V') terminal.printError(`-bash: command: ${name}: not found`);
+                status = 1;
+            } else if (mode === 'V') {
+                TypeCommand.describe(terminal, name, match).forEach(line => terminal.print(line));
+            } else if (match.type === 'alias') {
+                terminal.print(terminal.aliases.format(name));
+            } else {
+                terminal.print(match.type === 'file' ? match.value : name);
             }
-        } catch (error) {
-            terminal.printHTML(`mkdir: ${error.message}`);
         }
+
+        return status;
     }
 }
 
 /**
- * Remove files command
+ * Which command
  */
-export class RmCommand extends Command {
+export class WhichCommand extends Command {
     constructor() {
-        super('rm', {
-            help: "<span class=\"cmd\">rm</span>: Remove files\n\nRemove (unlink) the FILE(s).\n\nOptions:\n\t-i, --interactive\tPrompt before every removal\n\t-f, --force\t\tIgnore nonexistent files, never prompt\n\t-r, --recursive\tRemove directories and their contents recursively\n\t-h, --help\t\tShow this help message"
+        super('which', {
+            help: "<span class=\"cmd\">which</span>: [-a] <span class=\"parameter\">name</span> [<span class=\"parameter\">name</span> ...]\n\tLocate a command.\n\n\tPrint the path of the executable that runs for each NAME, searching\n\tthe directories listed in the PATH environment variable. Aliases,\n\tfunctions and shell builtins are not reported; <span class=\"cmd\">type</span> shows those.\n\n\tOptions:\n\t&emsp;-a\tPrint every matching executable, not just the first\n\n"
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const all = args.includes('-a');
+        const names = args.filter(arg => arg !== '-a');
+        let status = names.length === 0 ? 1 : 0;
 
-        if (argv._.length === 0) {
-            terminal.printHTML("rm: missing operand");
-            return;
+        for (const name of names) {
+            const paths = terminal.interpreter.resolve(name)
+                .filter(match => match.type === 'file')
+                .map(match => match.value);
+
+            if (paths.length === 0) {
+                status = 1;
+                continue;
+            }
+            for (const path of all ? paths : paths.slice(0, 1)) {
+                terminal.print(path);
+            }
         }
 
-        try {
-            for (const fileName of argv._) {
-                if (argv.i || argv.interactive) {
-                    const confirm = await terminal.confirm(`Remove '${fileName}'?`);
-                    if (!confirm) continue;
+        return status;
+    }
+}
+
+/**
+ * Jobs command
+ */
+export class JobsCommand extends Command {
+    constructor() {
+        super('jobs', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">jobs</span>: [-lp] [<span class=\"parameter\">jobspec</span> ...]\n\tDisplay status of jobs.\n\n\tLists the background and stopped jobs. The current job is marked\n\twith a + and the previous job with a -. Jobs that have ended are\n\tshown once and then forgotten.\n\n\tOptions:\n\t&emsp;-l\tList process IDs as well\n\t&emsp;-p\tList process IDs only\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const flags = args.filter(arg => /^-[lp]+$/.test(arg)).join('');
+        const specs = args.filter(arg => !/^-[lp]+$/.test(arg));
+        let jobs = terminal.jobs.list();
+        let status = 0;
+
+        if (specs.length > 0) {
+            jobs = [];
+            for (const spec of specs) {
+                try {
+                    jobs.push(terminal.jobs.find(spec));
+                } catch (error) {
+                    terminal.printError(`-bash: jobs: ${error.message}`);
+                    status = 1;
                 }
-                
-                terminal.vfs.rm(fileName);
             }
+        }
+
+        for (const job of jobs) {
+            terminal.print(flags.includes('p') ? String(job.pid) : terminal.jobs.format(job, flags.includes('l')));
+        }
+        terminal.jobs.removeFinished();
+
+        return status;
+    }
+}
+
+/**
+ * Fg command
+ */
+export class FgCommand extends Command {
+    constructor() {
+        super('fg', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">fg</span>: [<span class=\"parameter\">jobspec</span>]\n\tMove job to the foreground.\n\n\tPlace the job identified by JOBSPEC in the foreground, continuing it\n\tif it is stopped. Without JOBSPEC, the current job is used.\n\n\tJOBSPEC is %n for job number n, %+ or %% for the current job, %- for\n\tthe previous job, %string or %?string for a job whose command starts\n\twith or contains string, or a process ID.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const [spec] = this.rawArgs(argv, io);
+        let job;
+
+        try {
+            job = terminal.jobs.find(spec);
         } catch (error) {
-            if (!argv.f && !argv.force) {
-                terminal.printHTML(`rm: ${error.message}`);
+            terminal.printError(`-bash: fg: ${error.message}`);
+            return 1;
+        }
+
+        terminal.print(job.command);
+        job.resume();
+        return await terminal.jobs.wait(job);
+    }
+
+    /**
+     * Complete job specs
+     * @param {Object} context - Completion context
+     * @returns {Array<string>|null} Candidates
+     */
+    complete(context) {
+        return context.index === 1 ? completeJobSpecs(context) : [];
+    }
+}
+
+/**
+ * Bg command
+ */
+export class BgCommand extends Command {
+    constructor() {
+        super('bg', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">bg</span>: [<span class=\"parameter\">jobspec</span> ...]\n\tMove jobs to the background.\n\n\tContinue the stopped jobs identified by each JOBSPEC in the background,\n\tas if they had been started with &amp;. Without JOBSPEC, the current job\n\tis used.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const specs = this.rawArgs(argv, io);
+        let status = 0;
+
+        for (const spec of specs.length > 0 ? specs : [undefined]) {
+            let job;
+            try {
+                job = terminal.jobs.find(spec);
+            } catch (error) {
+                terminal.printError(`-bash: bg: ${error.message}`);
+                status = 1;
+                continue;
+            }
+
+            if (!job.stopped) {
+                terminal.printError(`-bash: bg: job ${job.id} already in background`);
+                continue;
             }
+
+            terminal.jobs.continueInBackground(job);
+            terminal.print(`[${job.id}]+ ${job.command} &`);
         }
+
+        return status;
+    }
+
+    /**
+     * Complete job specs
+     * @param {Object} context - Completion context
+     * @returns {Array<string>} Candidates
+     */
+    complete(context) {
+        return completeJobSpecs(context);
     }
 }
 
 /**
- * Who am I command
+ * Kill command
  */
-export class WhoamiCommand extends Command {
+export class KillCommand extends Command {
     constructor() {
-        super('whoami', {
-            help: "<span class=\"cmd\">whoami</span>: Print effective user name\n\nPrint the user name associated with the current effective user ID.\n\nOptions:\n\t-h, --help\tShow this help message"
+        super('kill', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">kill</span>: [-s <span class=\"parameter\">sigspec</span> | -n <span class=\"parameter\">signum</span> | -<span class=\"parameter\">sigspec</span>] <span class=\"parameter\">pid</span> | <span class=\"parameter\">jobspec</span> ... or kill -l [<span class=\"parameter\">sigspec</span>]\n\tSend a signal to a job.\n\n\tSend the jobs identified by PID or JOBSPEC the signal named by\n\tSIGSPEC or SIGNUM. If neither is given, SIGTERM is sent.\n\n\tSIGSTOP and SIGTSTP stop a job, SIGCONT continues it, and the\n\tother signals end it.\n\n\tOptions:\n\t&emsp;-s sig\tSIG is a signal name\n\t&emsp;-n sig\tSIG is a signal number\n\t&emsp;-l\tList the signal names; with arguments, translate them\n\n"
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        let signal = 'TERM';
+
+        if (args[0] === '-l' || args[0] === '-L') {
+            return this._list(terminal, args.slice(1));
         }
-        terminal.print(terminal.env.USER || 'demo');
+
+        if (args[0] === '-s' || args[0] === '-n') {
+            args.shift();
+            signal = args.shift();
+        } else if (/^-\w+$/.test(args[0] ?? '')) {
+            signal = args.shift().slice(1);
+        }
+        if (args[0] === '--') args.shift();
+
+        const name = KillCommand.signalName(signal ?? '');
+        if (!name) {
+            terminal.printError(`-bash: kill: ${signal}: invalid signal specification`);
+            return 1;
+        }
+        if (args.length === 0) {
+            terminal.printError("kill: usage: kill [-s sigspec | -n signum | -sigspec] pid | jobspec ... or kill -l [sigspec]");
+            return 2;
+        }
+
+        let status = 0;
+
+        for (const target of args) {
+            if (!/^(%.*|\d+)$/.test(target)) {
+                terminal.printError(`-bash: kill: ${target}: arguments must be process or job IDs`);
+                status = 1;
+                continue;
+            }
+
+            try {
+                terminal.jobs.find(target).kill(name);
+            } catch (error) {
+                terminal.printError(`-bash: kill: ${error.message}`);
+                status = 1;
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Get a signal's name from its name or number
+     * @param {string} spec - Signal such as `TERM`, `SIGTERM`, `term` or `15`
+     * @returns {string|null} Name without the `SIG` prefix, or null if not known
+     */
+    static signalName(spec) {
+        if (/^\d+$/.test(spec)) {
+            const number = Number(spec);
+            return Object.keys(Job.SIGNALS).find(name => Job.SIGNALS[name].number === number) ?? null;
+        }
+
+        const name = spec.toUpperCase().replace(/^SIG/, '');
+        return Object.hasOwn(Job.SIGNALS, name) ? name : null;
+    }
+
+    /**
+     * List signal names, or translate between names and numbers
+     * @param {TerminalEmulator} terminal - Terminal instance
+     * @param {Array<string>} specs - Signals to translate
+     * @returns {number} Exit status
+     * @private
+     */
+    _list(terminal, specs) {
+        if (specs.length === 0) {
+            terminal.print(Object.entries(Job.SIGNALS)
+                .map(([name, { number }]) => `${String(number).padStart(2)}) SIG${name}`)
+                .join('\t'));
+            return 0;
+        }
+
+        let status = 0;
+
+        for (const spec of specs) {
+            const name = KillCommand.signalName(spec);
+            if (!name) {
+                terminal.printError(`-bash: kill: ${spec}: invalid signal specification`);
+                status = 1;
+            } else {
+                // A number is translated to a name, and a name to a number
+                terminal.print(/^\d+$/.test(spec) ? name : String(Job.SIGNALS[name].number));
+            }
+        }
+
+        return status;
     }
 }
 
 /**
- * Set environment variables command
+ * Sleep command
  */
-export class SetCommand extends Command {
+export class SleepCommand extends Command {
     constructor() {
-        super('set', {
-            help: "<span class=\"cmd\">set</span>: Set shell variables\n\nSet each NAME to VALUE in the environment.\n\nWith no options, display all shell variables.\n\nUsage: set [NAME=VALUE]\n\nOptions:\n\t-h, --help\tShow this help message\n\t-u, --unset=NAME\tRemove variable from environmrnt"
+        super('sleep', {
+            help: "<span class=\"cmd\">sleep</span>: <span class=\"parameter\">number</span>[<span class=\"parameter\">suffix</span>] ...\n\tDelay for a specified amount of time.\n\n\tPause for NUMBER seconds, which may be a fraction. SUFFIX may be s for\n\tseconds, m for minutes, h for hours or d for days. Given more than one\n\targument, pause for their sum.\n\n"
         });
     }
 
-    async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const units = { s: 1, m: 60, h: 3600, d: 86400 };
+        let seconds = 0;
+
+        if (args.length === 0) {
+            terminal.printError("sleep: missing operand");
+            return 1;
         }
 
-        if (argv._.length === 0) {
-            // Display all environment variables
-            const sortedKeys = Object.keys(terminal.env).sort();
-            for (const key of sortedKeys) {
-                terminal.printHTML(`${key}=${terminal.env[key]}`);
+        for (const arg of args) {
+            const match = arg.match(/^(\d+(?:\.\d*)?|\.\d+)([smhd]?)$/);
+            if (!match) {
+                terminal.printError(`sleep: invalid time interval '${arg}'`);
+                return 1;
             }
-            return;
+            seconds += parseFloat(match[1]) * units[match[2] || 's'];
         }
 
-        if (argv._.length < 2) {
-            terminal.printHTML("set: Usage: set [key] [value]");
-            return;
+        // Wake up early when the job is killed
+        await new Promise(resolve => {
+            const timer = setTimeout(done, seconds * 1000);
+            function done() {
+                clearTimeout(timer);
+                io.signal?.removeEventListener('abort', done);
+                resolve();
+            }
+            io.signal?.addEventListener('abort', done);
+        });
+
+        return 0;
+    }
+}
+
+/**
+ * History command
+ */
+export class HistoryCommand extends Command {
+    constructor() {
+        super('history', {
+            type: 'builtin',
+            help: "<span class=\"cmd\">history</span>: [-c] [-d <span class=\"parameter\">offset</span>] [<span class=\"parameter\">n</span>] or history -rw [<span class=\"parameter\">filename</span>]\n\tDisplay or manipulate the history list.\n\n\tDisplay the history list with line numbers. An argument of N lists\n\tonly the last N entries. Entries can be run again with <span class=\"cmd\">!n</span>.\n\n\tOptions:\n\t&emsp;-c\tClear the history list\n\t&emsp;-d offset\tDelete the entry at OFFSET; negative offsets count back from the end\n\t&emsp;-r\tAppend the lines of the history file to the history list\n\t&emsp;-w\tWrite the history list to the history file\n\n\tThe history file is FILENAME if given, or else ~/.bash_history.\n\n"
+        });
+    }
+
+    async execute(terminal, argv, io = {}) {
+        const args = this.rawArgs(argv, io);
+        const option = args[0]?.startsWith('-') && !/^-\d+$/.test(args[0]) ? args.shift() : null;
+        const history = terminal.commandHistory;
+
+        switch (option) {
+            case null:
+                return this._list(terminal, args[0]);
+            case '-c':
+                terminal.setHistory([]);
+                return 0;
+            case '-d':
+                return this._delete(terminal, args[0]);
+            case '-r':
+            case '-w': {
+                const file = args[0] ?? `${terminal.env.HOME || '~'}/.bash_history`;
+                try {
+                    if (option === '-w') {
+                        terminal.vfs.cat('>', file, history.map(entry => `${entry}\n`).join(''));
+                    } else {
+                        const lines = terminal.vfs.cat('', file).split('\n').filter(line => line.trim());
+                        terminal.setHistory([...history, ...lines]);
+                    }
+                } catch (error) {
+                    terminal.printError(`-bash: history: ${file}: ${error.message}`);
+                    return 1;
+                }
+                return 0;
+            }
+            default:
+                terminal.printError(`-bash: history: ${option}: invalid option`);
+                terminal.printError("history: usage: history [-c] [-d offset] [n] or history -rw [filename]");
+                return 2;
         }
+    }
 
-        const [key, ...valueParts] = argv._;
-        const value = valueParts.join(' ');
-        terminal.env[key.toUpperCase()] = value;
-        terminal.printHTML(`<span class="info">${key.toUpperCase()}</span> set to <span class="success">${value}</span>`);
+    /**
+     * Print the history list, or its last entries
+     * @param {TerminalEmulator} terminal - Terminal instance
+     * @param {string} [count] - Number of entries to print
+     * @returns {number} Exit status
+     * @private
+     */
+    _list(terminal, count) {
+        const history = terminal.commandHistory;
+        let start = 0;
+
+        if (count !== undefined) {
+            if (!/^\d+$/.test(count)) {
+                terminal.printError(`-bash: history: ${count}: numeric argument required`);
+                return 1;
+            }
+            start = Math.max(0, history.length - parseInt(count, 10));
+        }
+
+        for (let i = start; i < history.length; i++) {
+            terminal.print(`${String(i + 1).padStart(5)}  ${history[i]}`);
+        }
+        return 0;
+    }
+
+    /**
+     * Delete one history entry
+     * @param {TerminalEmulator} terminal - Terminal instance
+     * @param {string} offset - Entry number, or a negative offset from the end
+     * @returns {number} Exit status
+     * @private
+     */
+    _delete(terminal, offset) {
+        const history = terminal.commandHistory;
+
+        if (offset === undefined) {
+            terminal.printError("-bash: history: -d: option requires an argument");
+            return 2;
+        }
+
+        const n = parseInt(offset, 10);
+        const index = n < 0 ? history.length + n : n - 1;
+
+        if (!/^-?\d+$/.test(offset) || index < 0 || index >= history.length) {
+            terminal.printError(`-bash: history: ${offset}: history position out of range`);
+            return 1;
+        }
+
+        terminal.setHistory(history.filter((entry, i) => i !== index));
+        return 0;
     }
 }
 
@@ -596,21 +2536,17 @@ export class Base64Command extends Command {
     constructor() {
         super('base64', {
             aliases: ['b64'],
-            help: "<span class=\"cmd\">base64</span>: [<span class=\"parameter\">string</span>] [<span class=\"parameter\">options</span>]\n\tBase64 encode or decode standard input, to standard output.\n\n\tEncode or decode a string using the algorithum as described for\n\tthe Base64 alphabet specified in <a href=\"https://datatracker.ietf.org/doc/html/rfc4648\" target=\"_blank\">RFC 4648, section 4</a>. If no option\n\tis specified then <span class=\"cmd\">base64</span> will default to encoding.\n\n\tOptions:\n\t&emsp;-e, --encode\tencode the input string\n\t&emsp;-d, --decode\tdecode the input string\n\n"
+            summary: 'Base64 encode or decode a string',
+            description: "Encode or decode <span class=\"parameter\">string</span> using the Base64 alphabet described in\n<a href=\"https://datatracker.ietf.org/doc/html/rfc4648\" target=\"_blank\">RFC 4648, section 4</a>. With neither option, <span class=\"cmd\">base64</span> encodes.",
+            args: [{ name: 'string', required: true, variadic: true }],
+            options: [
+                { short: 'e', long: 'encode', description: 'Encode the input string' },
+                { short: 'd', long: 'decode', description: 'Decode the input string' }
+            ]
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
-        if (argv._.length === 0) {
-            terminal.printHTML("base64: Usage: base64 [string] [options]\n");
-            return;
-        }
-
         const str = argv._.join(" ");
 
         if (str.charAt(0) === '"' || str.charAt(0) === "'") {
@@ -621,13 +2557,14 @@ export class Base64Command extends Command {
         }
         
         try {
-            if (argv.d || argv.decode) {
+            if (argv.decode) {
                 terminal.printHTML(utils.wordBreak(utils.b64.de(str)));
             } else {
                 terminal.printHTML(utils.wordBreak(utils.b64.en(str)));
             }
         } catch (error) {
-            terminal.printHTML(`base64: ${error.message}`);
+            terminal.printError(`base64: ${error.message}`);
+            return 1;
         }
     }
 }
@@ -636,30 +2573,35 @@ export class Base64Command extends Command {
  * Theme management command
  */
 export class ThemeCommand extends Command {
+    /**
+     * Available themes and whether each is dark or light
+     */
+    static THEMES = {
+        "dark": "dark",
+        "light": "light",
+        "laserwave": "dark",
+        "nord": "dark",
+        "greyscale": "dark",
+        "dracula": "dark",
+        "nightowl": "dark",
+        "onedark": "dark"
+    };
+
     constructor() {
         super('theme', {
-            help: "<span class=\"cmd\">theme</span>: [<span class=\"parameter\">theme</span>]\nSet the shell theme.\n\nChange the the theme of the terminal.\n\nWith no argument or switch, <span class=\"cmd\">theme</span> will return the current theme\n\n\tOptions:\n\t&emsp;-t|--list\tlist available themes\n\n"
+            summary: 'Set the shell theme',
+            description: 'Change the theme of the terminal. With no argument or option, print the\ncurrent theme.',
+            args: [{ name: 'theme' }],
+            options: [
+                { short: 'l', long: 'list', description: 'List available themes' }
+            ]
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
-        const themes = {
-            "dark": "dark",
-            "light": "light",
-            "laserwave": "dark",
-            "nord": "dark",
-            "greyscale": "dark",
-            "dracula": "dark",
-            "nightowl": "dark",
-            "onedark": "dark"
-        };
+        const themes = ThemeCommand.THEMES;
 
-        if (argv.l || argv.list) {
+        if (argv.list) {
             terminal.printHTML("Available themes:");
             Object.entries(themes).forEach(([name, type]) => {
                 terminal.printHTML(`  ${name.padEnd(15)} (${type})`);
@@ -677,10 +2619,21 @@ export class ThemeCommand extends Command {
             terminal.setTheme(newTheme);
             terminal.printHTML(`Theme set to: ${newTheme}`);
         } else {
-            terminal.printHTML(`Unknown theme: ${newTheme}`);
-            terminal.printHTML("Use 'theme -l' to see available themes");
+            terminal.printError(`Unknown theme: ${newTheme}`);
+            terminal.printError("Use 'theme -l' to see available themes");
+            return 1;
         }
     }
+
+    /**
+     * Complete theme names
+     * @param {Object} context - Completion context
+     * @returns {Array<string>|null} Candidates
+     */
+    complete(context) {
+        if (context.index !== 1 || context.word.startsWith('-')) return null;
+        return Object.keys(ThemeCommand.THEMES);
+    }
 }
 
 /**
@@ -689,16 +2642,15 @@ export class ThemeCommand extends Command {
 export class HelpCommand extends Command {
     constructor() {
         super('help', {
-            help: "<span class=\"cmd\">help</span>: [<span class=\"parameter\">command</span>]\n\tDisplay a command's help information.\n\n\tShows the help information of the supplied <span class=\"cmd\">command</span>. If no\n\t<span class=\"cmd\">command</span> is specified then shows the help message.\n\n"
+            type: 'builtin',
+            summary: "Display a command's help information",
+            description: 'Show the help information of the supplied COMMAND. If no COMMAND is\nspecified, list the available commands.',
+            args: [{ name: 'command' }],
+            options: []
         });
     }
 
     async execute(terminal, argv) {
-        if (argv.help || argv.h) {
-            terminal.printHTML(this.help);
-            return;
-        }
-
         let append = "";
         if (argv._.length === 0) {
             append += "<span class=\"host\">TERM[E]DITOR BASH</span>, <span class=\"info\">version 1.0-release</span> (" + navigator.platform.replace(' ', '-').replace('_', '-').toLowerCase() + "-gnu)\n";
@@ -732,6 +2684,7 @@ export class CommandManager {
     constructor() {
         this.commands = new Map();
         this.aliases = new Map();
+        this.functions = new Map();
     }
 
     /**
@@ -790,6 +2743,51 @@ export class CommandManager {
         return Array.from(this.commands.keys());
     }
 
+    /**
+     * Define or replace a shell function. The shell looks functions up
+     * before commands, so a function can wrap a command of the same name.
+     * @param {string} name - Function name
+     * @param {{body: Object, source: string}} definition - Parsed body and its source text
+     */
+    defineFunction(name, definition) {
+        this.functions.set(name, definition);
+    }
+
+    /**
+     * Get a shell function
+     * @param {string} name - Function name
+     * @returns {{body: Object, source: string}|null} Definition or null
+     */
+    getFunction(name) {
+        return this.functions.get(name) ?? null;
+    }
+
+    /**
+     * Remove a shell function
+     * @param {string} name - Function name
+     * @returns {boolean} True if the function existed
+     */
+    removeFunction(name) {
+        return this.functions.delete(name);
+    }
+
+    /**
+     * Get all function names, sorted
+     * @returns {Array<string>} Function names
+     */
+    listFunctions() {
+        return [...this.functions.keys()].sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Format a function the way `declare -f` prints it
+     * @param {string} name - Function name
+     * @returns {string} Definition such as `greet () { echo hi; }`
+     */
+    formatFunction(name) {
+        return `${name} () \n${this.functions.get(name).source}`;
+    }
+
     /**
      * Execute a command
      * @param {string} name - Command name
@@ -809,7 +2807,7 @@ export class CommandManager {
             throw new Error(`Permission denied: ${name}`);
         }
 
-        return await command.execute(terminal, argv);
+        return await command.run(terminal, argv);
     }
 
     /**
@@ -900,12 +2898,47 @@ export class CommandManager {
             new LsCommand(),
             new CdCommand(),
             new EchoCommand(),
+            new TrueCommand(),
+            new FalseCommand(),
             new CatCommand(),
+            new GrepCommand(),
+            new WcCommand(),
+            new SortCommand(),
             new TouchCommand(),
             new MkdirCommand(),
             new RmCommand(),
+            new ChmodCommand(),
             new WhoamiCommand(),
+            new SuCommand(),
+            new DateCommand(),
+            new DirnameCommand(),
+            new BasenameCommand(),
             new SetCommand(),
+            new AliasCommand(),
+            new UnaliasCommand(),
+            new ExportCommand(),
+            new UnsetCommand(),
+            new TestCommand(),
+            new TestCommand('['),
+            new SourceCommand(),
+            new SourceCommand('.'),
+            new ShCommand(),
+            new ShCommand('bash'),
+            new ExitCommand(),
+            new LocalCommand(),
+            new ReturnCommand(),
+            new DeclareCommand(),
+            new TypeCommand(),
+            new CommandCommand(),
+            new WhichCommand(),
+            new JobsCommand(),
+            new FgCommand(),
+            new BgCommand(),
+            new KillCommand(),
+            new SleepCommand(),
+            new HistoryCommand(),
+            new LoopControlCommand('break'),
+            new LoopControlCommand('continue'),
             new Base64Command(),
             new RebootCommand(),
             new ThemeCommand(),
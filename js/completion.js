@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Tab completion of command names, paths, variables and flags
+ * @module completion
+ */
+
+/**
+ * Completes the word being typed at the end of a command line.
+ *
+ * What a word completes to depends on where it is: the first word of a
+ * command completes to command names, aliases and functions, a word
+ * starting with `$` to variable names, one starting with `-` to the flags
+ * the command declares, and any other word to paths in the filesystem.
+ * A command can take over the completion of its arguments with a
+ * completer, and an active session completes all of its input itself.
+ *
+ * Completers receive a context, and return candidates, or null to leave
+ * the word to the default completion:
+ *
+ *     engine.register('ssh', (context) => ['alpha', 'beta']);
+ */
+export class CompletionEngine {
+    /**
+     * Commands whose first argument is itself a command name
+     */
+    static COMMAND_PREFIXES = ['sudo', 'command', 'exec', 'nohup', 'time', 'builtin', 'which', 'type', 'whereis', 'help'];
+
+    /**
+     * Characters escaped with a backslash in completed words
+     */
+    static SPECIAL_CHARS = /([\s'"\\$`!&|;<>()*?[\]#{}])/g;
+
+    /**
+     * Create a new completion engine
+     * @param {TerminalEmulator} terminal - Terminal to complete for
+     */
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.completers = new Map();
+    }
+
+    /**
+     * Register a completer for the arguments of a command. It takes
+     * precedence over a completer declared by the command itself.
+     * @param {string} name - Command name
+     * @param {Function} completer - Called with the completion context,
+     *     returns an array of candidates or null
+     */
+    register(name, completer) {
+        this.completers.set(name, completer);
+    }
+
+    /**
+     * Remove a command's registered completer
+     * @param {string} name - Command name
+     */
+    unregister(name) {
+        this.completers.delete(name);
+    }
+
+    /**
+     * Complete the last word of a line
+     * @param {string} line - Line typed so far
+     * @returns {{start: number, quote: string|null, candidates: Array<Object>}}
+     *     Index in the line where the word starts, the quote it was opened
+     *     with, and the candidates, sorted, each with the `text` to put in
+     *     place of the word, a `display` name for listing, and whether it
+     *     is `partial`, so that no space follows it
+     */
+    complete(line) {
+        const context = this.context(line);
+        const candidates = this._candidates(context);
+
+        const seen = new Set();
+        const normalized = [];
+        for (const candidate of candidates.map(CompletionEngine._normalize)) {
+            if (!candidate.value.startsWith(context.word) || seen.has(candidate.value)) continue;
+            seen.add(candidate.value);
+            normalized.push({
+                ...candidate,
+                text: candidate.literal ? `${context.quote ?? ''}${candidate.value}` : this._quote(candidate.value, context.quote)
+            });
+        }
+        normalized.sort((a, b) => a.value.localeCompare(b.value));
+
+        return { start: context.start, quote: context.quote, candidates: normalized };
+    }
+
+    /**
+     * Work out what is being completed in a line
+     * @param {string} line - Line typed so far
+     * @returns {Object} Context with the `line`, the `words` of the current
+     *     command before the word being typed, its `index` among them, the
+     *     `word` itself without quotes, where it `start`s, the `quote` it is
+     *     in, whether it is the target of a `redirect`, the `command` name,
+     *     the `terminal` and this `engine`
+     */
+    context(line) {
+        let words = [];
+        let word = '';
+        let start = line.length;
+        let inWord = false;
+        let quote = null;
+        let redirect = false;
+        let target = false;
+
+        const endWord = () => {
+            if (!inWord) return;
+            if (target) {
+                target = false;
+            } else {
+                words.push(word);
+            }
+            word = '';
+            inWord = false;
+        };
+        const beginWord = (index) => {
+            if (inWord) return;
+            inWord = true;
+            start = index;
+            target = redirect;
+            redirect = false;
+        };
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+                    word += line[++i];
+                } else {
+                    word += char;
+                }
+                continue;
+            }
+
+            if (char === '\\') {
+                beginWord(i);
+                word += line[++i] ?? '';
+            } else if (char === "'" || char === '"') {
+                beginWord(i);
+                quote = char;
+            } else if (/\s/.test(char)) {
+                endWord();
+            } else if ('|;&()`\n'.includes(char) || (char === '$' && line[i + 1] === '(')) {
+                endWord();
+                words = [];
+                redirect = false;
+                if (char === '$') i++;
+            } else if (char === '<' || char === '>') {
+                endWord();
+                redirect = true;
+            } else {
+                beginWord(i);
+                word += char;
+            }
+        }
+
+        if (!inWord) {
+            start = line.length;
+            target = redirect;
+        }
+
+        // Variable assignments before the command name are not counted
+        while (words.length > 0 && /^[A-Za-z_]\w*=/.test(words[0])) {
+            words.shift();
+        }
+
+        return {
+            line,
+            words,
+            index: words.length,
+            word: inWord ? word : '',
+            start,
+            quote,
+            redirect: target,
+            command: words[0] ?? null,
+            terminal: this.terminal,
+            engine: this
+        };
+    }
+
+    /**
+     * Names the first word of a command can complete to: shell builtins
+     * and registered commands, executables on `$PATH`, aliases and functions
+     * @returns {Array<string>} Command names
+     */
+    commands() {
+        const terminal = this.terminal;
+        const names = new Set(Object.keys(terminal.commands));
+
+        for (const dir of (terminal.env.PATH || '').split(':')) {
+            for (const child of this._children(dir || '.')) {
+                if (terminal.vfs.isExecutable(child)) names.add(child.key);
+            }
+        }
+        for (const [name] of terminal.aliases.list()) {
+            names.add(name);
+        }
+        for (const name of terminal.commandManager.listFunctions()) {
+            names.add(name);
+        }
+
+        return [...names];
+    }
+
+    /**
+     * Complete a path in the filesystem, relative to the working directory
+     * @param {string} word - Path typed so far
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.directories=false] - Only complete directories
+     * @param {boolean} [options.executables=false] - Only complete directories and executables
+     * @returns {Array<Object>} Candidates; directories end with `/` and are partial
+     */
+    paths(word, { directories = false, executables = false } = {}) {
+        const slash = word.lastIndexOf('/');
+        const dir = slash === -1 ? '' : word.slice(0, slash + 1);
+        const name = word.slice(slash + 1);
+        const home = this.terminal.env.HOME || '/';
+        const resolved = dir.startsWith('~/') ? home + dir.slice(1) : dir;
+
+        return this._children(resolved || '.')
+            .filter(child => child.key.startsWith(name))
+            .filter(child => name.startsWith('.') || !child.key.startsWith('.'))
+            .filter(child => {
+                if (child.type === 'dir') return true;
+                if (directories) return false;
+                return !executables || this.terminal.vfs.isExecutable(child);
+            })
+            .map(child => {
+                const suffix = child.type === 'dir' ? '/' : '';
+                return { value: `${dir}${child.key}${suffix}`, display: `${child.key}${suffix}`, partial: !!suffix };
+            });
+    }
+
+    /**
+     * Complete a variable name after `$` or `${`
+     * @param {string} word - Word typed so far, starting with `$`
+     * @returns {Array<Object>} Candidates
+     */
+    variables(word) {
+        const braced = word.startsWith('${');
+        const prefix = word.slice(word.lastIndexOf('$'), braced ? 2 : 1);
+        const before = word.slice(0, word.lastIndexOf('$'));
+
+        return Object.keys(this.terminal.env)
+            .filter(name => /^[A-Za-z_]\w*$/.test(name))
+            .map(name => ({
+                value: `${before}${prefix}${name}${braced ? '}' : ''}`,
+                display: name,
+                literal: true
+            }));
+    }
+
+    /**
+     * Find the candidates for a context
+     * @param {Object} context - Completion context
+     * @returns {Array<string|Object>} Candidates, not yet filtered
+     * @private
+     */
+    _candidates(context) {
+        const { terminal, word, index, command } = context;
+        const session = terminal.sessionManager.getCurrent();
+
+        if (session) {
+            return session.complete(context) ?? [];
+        }
+
+        if (/\$\{?\w*$/.test(word) && !context.quote?.includes("'")) {
+            return this.variables(word);
+        }
+        if (context.redirect) {
+            return this.paths(word);
+        }
+        if (index === 0 || (index === 1 && CompletionEngine.COMMAND_PREFIXES.includes(command))) {
+            return word.includes('/') ? this.paths(word, { executables: true }) : this.commands();
+        }
+
+        const completer = this.completers.get(command) ?? terminal.commands[command]?.complete;
+        const custom = completer ? completer(context) : null;
+        if (custom) return custom;
+
+        if (word.startsWith('-')) {
+            return terminal.commands[command]?.flags ?? [];
+        }
+        return this.paths(word);
+    }
+
+    /**
+     * List the child nodes of a directory
+     * @param {string} path - Directory path
+     * @returns {Array<TreeNode>} Children, or none if it is not a directory
+     * @private
+     */
+    _children(path) {
+        try {
+            const node = this.terminal.vfs._resolve_path(path);
+            return node.type === 'dir' ? node.children : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Put a completed word back the way it was typed: inside its quote,
+     * or with special characters escaped
+     * @param {string} value - Word
+     * @param {string|null} quote - Quote the word was opened with
+     * @returns {string} Text for the command line
+     * @private
+     */
+    _quote(value, quote) {
+        if (quote) return `${quote}${value}`;
+        return value.replace(CompletionEngine.SPECIAL_CHARS, '\\$1');
+    }
+
+    /**
+     * Turn a candidate returned by a completer into a candidate object
+     * @param {string|Object} candidate - Word, or object with `value`
+     * @returns {{value: string, display: string, partial: boolean, literal: boolean}} Candidate
+     * @private
+     */
+    static _normalize(candidate) {
+        const value = typeof candidate === 'string' ? candidate : candidate.value;
+        return {
+            value,
+            display: candidate.display ?? value,
+            partial: candidate.partial ?? false,
+            literal: candidate.literal ?? false
+        };
+    }
+}
+
+export default CompletionEngine;
@@ -0,0 +1,562 @@
+/**
+ * @fileoverview Shell word expansion: tilde, parameter expansion and quote removal
+ * @module expansion
+ */
+
+import { SAMPLE_USERS } from './filesystem-data.js';
+import { Lexer } from './parser.js';
+import Glob from './glob.js';
+
+/**
+ * Turns the raw words produced by the lexer into command arguments.
+ *
+ * Expanding a word yields a list of pieces, each remembering whether it was
+ * quoted and whether it came from an unquoted expansion (and so is subject to
+ * field splitting). Quote removal happens as part of the same pass, and the
+ * quoting is kept long enough for pathname expansion to tell `*` from `"*"`.
+ *
+ * Expansion is asynchronous because command substitutions run commands.
+ */
+export class Expander {
+    /**
+     * Characters that may follow `$` as a special parameter
+     */
+    static SPECIAL_PARAMETERS = '?#@*$!0123456789';
+
+    /**
+     * Create a new expander
+     * @param {import('./terminal.js').default} terminal - Terminal whose environment is used
+     */
+    constructor(terminal) {
+        this.terminal = terminal;
+    }
+
+    /**
+     * Expand word tokens into a flat argument list
+     * @param {Array<Object>} words - Word tokens
+     * @param {Object} [io] - I/O context that command substitutions run in
+     * @returns {Promise<Array<string>>} Arguments
+     * @throws {Error} On a bad substitution
+     */
+    async expandWords(words, io = {}) {
+        const fields = [];
+        for (const word of words) {
+            fields.push(...await this.expandWord(word.value, io));
+        }
+        return fields;
+    }
+
+    /**
+     * Expand a raw word into zero or more fields
+     * @param {string} raw - Word text with quotes intact
+     * @param {Object} [io] - I/O context that command substitutions run in
+     * @returns {Promise<Array<string>>} Fields
+     * @throws {Error} On a bad substitution
+     */
+    async expandWord(raw, io = {}) {
+        const fields = [];
+
+        for (const word of Expander.expandBraces(raw)) {
+            const split = this._splitFields(await this._expandPieces(word, io));
+            fields.push(...split.flatMap(field => this._expandPathname(field)));
+        }
+
+        return fields;
+    }
+
+    /**
+     * Expand a raw word into a single string, without field splitting
+     * @param {string} raw - Word text with quotes intact
+     * @param {Object} [io] - I/O context that command substitutions run in
+     * @returns {Promise<string>} Expanded text
+     * @throws {Error} On a bad substitution
+     */
+    async expandString(raw, io = {}) {
+        return (await this._expandPieces(raw, io)).map(piece => piece.text).join('');
+    }
+
+    /**
+     * Expand parameters and command substitutions in a here-document body.
+     * Quotes have no special meaning there.
+     * @param {string} body - Here-document text
+     * @param {Object} [io] - I/O context that command substitutions run in
+     * @returns {Promise<string>} Expanded text
+     */
+    async expandHeredoc(body, io = {}) {
+        const pieces = [];
+        await this._expandDoubleQuoted(body, 0, pieces, io, true);
+        return pieces.map(piece => piece.text).join('');
+    }
+
+    /**
+     * Expand a `case` pattern into a glob pattern. Quoted parts are escaped
+     * so that they only match themselves.
+     * @param {string} raw - Pattern text with quotes intact
+     * @param {Object} [io] - I/O context that command substitutions run in
+     * @returns {Promise<string>} Glob pattern
+     * @throws {Error} On a bad substitution
+     */
+    async expandPattern(raw, io = {}) {
+        const pieces = await this._expandPieces(raw, io);
+        return pieces.map(piece => piece.quoted ? Glob.escape(piece.text) : piece.text).join('');
+    }
+
+    /**
+     * Expand the first unquoted `{a,b}` or `{x..y[..step]}` in a raw word,
+     * then the rest of each result in turn. Braces that are quoted, escaped,
+     * part of `${...}` or that hold no comma or sequence are left alone.
+     * @param {string} word - Raw word text
+     * @returns {Array<string>} Raw words
+     */
+    static expandBraces(word) {
+        for (let i = 0; i < word.length; i++) {
+            const char = word[i];
+
+            if (char === '\\') {
+                i++;
+            } else if (Expander._startsRegion(word, i)) {
+                i = Lexer.regionEnd(word, i) - 1;
+            } else if (char === '{') {
+                const close = Expander._braceEnd(word, i);
+                const alternatives = close === -1 ? null : Expander._braceAlternatives(word.slice(i + 1, close));
+
+                if (alternatives) {
+                    const prefix = word.slice(0, i);
+                    const suffix = word.slice(close + 1);
+                    return alternatives.flatMap(alternative => Expander.expandBraces(prefix + alternative + suffix));
+                }
+            }
+        }
+
+        return [word];
+    }
+
+    /**
+     * Check whether a quoted string or nested expansion starts at an index
+     * @param {string} word - Raw word text
+     * @param {number} i - Index to check
+     * @returns {boolean} True if a region starts there
+     * @private
+     */
+    static _startsRegion(word, i) {
+        return `'"\``.includes(word[i]) || (word[i] === '$' && '({'.includes(word[i + 1] || ' '));
+    }
+
+    /**
+     * Find the brace that closes a brace expression
+     * @param {string} word - Raw word text
+     * @param {number} start - Index of the opening brace
+     * @returns {number} Index of the closing brace, or -1
+     * @private
+     */
+    static _braceEnd(word, start) {
+        let depth = 0;
+
+        for (let i = start; i < word.length; i++) {
+            if (word[i] === '\\') {
+                i++;
+            } else if (Expander._startsRegion(word, i)) {
+                i = Lexer.regionEnd(word, i) - 1;
+            } else if (word[i] === '{') {
+                depth++;
+            } else if (word[i] === '}' && --depth === 0) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Work out what a brace expression expands to
+     * @param {string} body - Text between the braces
+     * @returns {Array<string>|null} Alternatives, or null if the braces are literal
+     * @private
+     */
+    static _braceAlternatives(body) {
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < body.length; i++) {
+            if (body[i] === '\\') {
+                i++;
+            } else if (Expander._startsRegion(body, i)) {
+                i = Lexer.regionEnd(body, i) - 1;
+            } else if (body[i] === '{') {
+                depth++;
+            } else if (body[i] === '}') {
+                depth--;
+            } else if (body[i] === ',' && depth === 0) {
+                parts.push(body.slice(start, i));
+                start = i + 1;
+            }
+        }
+
+        if (parts.length > 0) {
+            return [...parts, body.slice(start)];
+        }
+
+        return Expander._braceSequence(body);
+    }
+
+    /**
+     * Expand a `{x..y[..step]}` numeric or letter sequence. Numbers written
+     * with a leading zero are padded to the same width.
+     * @param {string} body - Text between the braces
+     * @returns {Array<string>|null} Sequence, or null if the body is not one
+     * @private
+     */
+    static _braceSequence(body) {
+        const numeric = body.match(/^(-?\d+)\.\.(-?\d+)(?:\.\.(-?\d+))?$/);
+        const alpha = body.match(/^([A-Za-z])\.\.([A-Za-z])(?:\.\.(-?\d+))?$/);
+        const match = numeric || alpha;
+        if (!match) return null;
+
+        const [, first, last, step] = match;
+        const from = numeric ? parseInt(first, 10) : first.charCodeAt(0);
+        const to = numeric ? parseInt(last, 10) : last.charCodeAt(0);
+        const increment = Math.abs(parseInt(step, 10)) || 1;
+        const padded = numeric && [first, last].some(value => /^-?0\d/.test(value));
+        const width = Math.max(first.length, last.length);
+
+        const format = (value) => {
+            if (!numeric) return String.fromCharCode(value);
+            if (!padded) return String(value);
+
+            const digits = String(Math.abs(value)).padStart(value < 0 ? width - 1 : width, '0');
+            return value < 0 ? `-${digits}` : digits;
+        };
+
+        const values = [];
+        const direction = from <= to ? 1 : -1;
+        for (let value = from; direction * (to - value) >= 0; value += direction * increment) {
+            values.push(format(value));
+        }
+        return values;
+    }
+
+    /**
+     * Expand tilde prefixes, parameters, command substitutions and quotes in a word
+     * @param {string} raw - Word text
+     * @param {Object} io - I/O context
+     * @returns {Promise<Array<{text: string, quoted: boolean, split: boolean}>>} Pieces
+     * @private
+     */
+    async _expandPieces(raw, io) {
+        const pieces = [];
+        let i = this._expandTilde(raw, pieces);
+
+        while (i < raw.length) {
+            const char = raw[i];
+
+            if (char === "'") {
+                const end = raw.indexOf("'", i + 1);
+                this._push(pieces, raw.slice(i + 1, end), true);
+                i = end + 1;
+            } else if (char === '"') {
+                // With no positional parameters, "$@" makes no word at all
+                if (raw.startsWith('"$@"', i) && this._positional().length === 0) {
+                    i += 4;
+                    continue;
+                }
+                i = await this._expandDoubleQuoted(raw, i + 1, pieces, io);
+            } else if (char === '\\') {
+                // A backslash before a newline joins the lines
+                if (raw[i + 1] !== '\n') {
+                    this._push(pieces, raw[i + 1] ?? '', true);
+                }
+                i += 2;
+            } else if (char === '$' || char === '`') {
+                i = await this._expandDollar(raw, i, pieces, false, io);
+            } else {
+                this._push(pieces, char, false);
+                i++;
+            }
+        }
+
+        return pieces;
+    }
+
+    /**
+     * Expand a leading `~` or `~user` to a home directory
+     * @param {string} raw - Word text
+     * @param {Array<Object>} pieces - Pieces to append to
+     * @returns {number} Index after the tilde prefix
+     * @private
+     */
+    _expandTilde(raw, pieces) {
+        const match = raw.match(/^~([\w.-]*)(?=\/|$)/);
+        if (!match) return 0;
+
+        const home = match[1]
+            ? SAMPLE_USERS.find(user => user.name === match[1])?.home
+            : this.terminal.env.HOME;
+
+        // Unknown users are left as written
+        if (home == null) return 0;
+
+        this._push(pieces, home, true);
+        return match[0].length;
+    }
+
+    /**
+     * Expand the inside of a double-quoted string
+     * @param {string} raw - Word text
+     * @param {number} i - Index after the opening quote
+     * @param {Array<Object>} pieces - Pieces to append to
+     * @param {Object} io - I/O context
+     * @param {boolean} [heredoc=false] - Read to the end of the text, where `"` is not special
+     * @returns {Promise<number>} Index after the closing quote
+     * @private
+     */
+    async _expandDoubleQuoted(raw, i, pieces, io, heredoc = false) {
+        const escapable = heredoc ? '$`\\\n' : '$`"\\\n';
+
+        // An empty pair of quotes still makes an (empty) argument
+        this._push(pieces, '', true);
+
+        while (i < raw.length && (heredoc || raw[i] !== '"')) {
+            const char = raw[i];
+
+            if (char === '\\' && raw[i + 1] && escapable.includes(raw[i + 1])) {
+                if (raw[i + 1] !== '\n') {
+                    this._push(pieces, raw[i + 1], true);
+                }
+                i += 2;
+            } else if (char === '$' || char === '`') {
+                i = await this._expandDollar(raw, i, pieces, true, io);
+            } else {
+                this._push(pieces, char, true);
+                i++;
+            }
+        }
+
+        return i + 1;
+    }
+
+    /**
+     * Expand a `$NAME`, `${...}` or special parameter reference, or a
+     * `$(...)` or backquoted command substitution
+     * @param {string} raw - Word text
+     * @param {number} i - Index of the `$` or backquote
+     * @param {Array<Object>} pieces - Pieces to append to
+     * @param {boolean} quoted - Whether the reference is inside double quotes
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Index after the reference
+     * @private
+     */
+    async _expandDollar(raw, i, pieces, quoted, io) {
+        const next = raw[i + 1];
+
+        if (raw[i] === '`' || next === '(' || next === '{') {
+            const end = Lexer.regionEnd(raw, i);
+            let value;
+
+            if (raw[i] === '`') {
+                value = await this._substitute(raw.slice(i + 1, end - 1).replace(/\\([`$\\])/g, '$1'), io);
+            } else if (next === '(') {
+                value = await this._substitute(raw.slice(i + 2, end - 1), io);
+            } else {
+                value = await this._expandBraced(raw.slice(i + 2, end - 1), io);
+            }
+
+            this._push(pieces, value, quoted, !quoted);
+            return end;
+        }
+
+        const name = raw.slice(i + 1).match(/^[A-Za-z_]\w*/)?.[0]
+            ?? (next && Expander.SPECIAL_PARAMETERS.includes(next) ? next : null);
+
+        if (!name) {
+            this._push(pieces, '$', quoted);
+            return i + 1;
+        }
+
+        // "$@" keeps each positional parameter a separate field
+        if (name === '@' && quoted) {
+            this._positional().forEach((value, index) => {
+                if (index > 0) pieces.push({ text: ' ', quoted: true, split: false, boundary: true });
+                this._push(pieces, value, true);
+            });
+            return i + 2;
+        }
+
+        this._push(pieces, this._lookup(name), quoted, !quoted);
+        return i + 1 + name.length;
+    }
+
+    /**
+     * Run a command line and capture its output, without trailing newlines
+     * @param {string} command - Command line inside the substitution
+     * @param {Object} io - I/O context
+     * @returns {Promise<string>} Captured output
+     * @private
+     */
+    async _substitute(command, io) {
+        const tree = this.terminal.parseLine(command.trim());
+        const output = await this.terminal.interpreter.capture(tree, io);
+        return output.replace(/\n+$/, '');
+    }
+
+    /**
+     * Evaluate the body of a `${...}` expansion
+     * @param {string} body - Text between the braces
+     * @param {Object} io - I/O context
+     * @returns {Promise<string>} Expanded value
+     * @throws {Error} On a bad substitution
+     * @private
+     */
+    async _expandBraced(body, io) {
+        const length = body.match(/^#([A-Za-z_]\w*|\d+|[?#@*$!])$/);
+        if (length) {
+            return String(this._lookup(length[1]).length);
+        }
+
+        const match = body.match(/^([A-Za-z_]\w*|\d+|[?#@*$!])(?:(:?)([-=])(.*))?$/s);
+        if (!match) {
+            throw new Error(`\${${body}}: bad substitution`);
+        }
+
+        const [, name, colon, operator, word] = match;
+        const value = this._parameter(name);
+        const missing = value == null || (colon && value === '');
+
+        if (!operator || !missing) {
+            return value == null ? '' : String(value);
+        }
+
+        const fallback = await this.expandString(word, io);
+        if (operator === '=') {
+            this.terminal.env[name] = fallback;
+        }
+        return fallback;
+    }
+
+    /**
+     * Replace a field containing unquoted wildcards with the paths it
+     * matches. Like bash, a pattern that matches nothing is left as is.
+     * @param {Array<Object>} field - Pieces of one field
+     * @returns {Array<string>} Matching paths, or the field text
+     * @private
+     */
+    _expandPathname(field) {
+        const text = field.map(piece => piece.text).join('');
+        const pattern = field.map(piece => piece.quoted ? Glob.escape(piece.text) : piece.text).join('');
+
+        if (!this.terminal.vfs || !Glob.hasMagic(pattern)) {
+            return [text];
+        }
+
+        const matches = new Glob(this.terminal.vfs).expand(pattern);
+        return matches.length > 0 ? matches : [text];
+    }
+
+    /**
+     * Get the value of a variable, or an empty string when unset
+     * @param {string} name - Variable name
+     * @returns {string} Value
+     * @private
+     */
+    _lookup(name) {
+        const value = this._parameter(name);
+        return value == null ? '' : String(value);
+    }
+
+    /**
+     * Get the value of a variable or parameter. `$0`, `$1`... `$#`, `$@` and
+     * `$*` come from the running script; everything else from the environment.
+     * @param {string} name - Variable name, digits or special parameter
+     * @returns {string|undefined} Value, or undefined when unset
+     * @private
+     */
+    _parameter(name) {
+        const positional = this._positional();
+
+        if (/^\d+$/.test(name)) {
+            return name === '0' ? (this.terminal.interpreter?.arg0 ?? 'bash') : positional[name - 1];
+        }
+        if (name === '#') {
+            return String(positional.length);
+        }
+        if (name === '@' || name === '*') {
+            return positional.join((this.terminal.env.IFS ?? ' ')[0] ?? '');
+        }
+        return this.terminal.env[name];
+    }
+
+    /**
+     * Get the positional parameters of the running script
+     * @returns {Array<string>} Parameters
+     * @private
+     */
+    _positional() {
+        return this.terminal.interpreter?.positional ?? [];
+    }
+
+    /**
+     * Append text to the piece list, merging with the previous piece when alike
+     * @param {Array<Object>} pieces - Pieces to append to
+     * @param {string} text - Text to append
+     * @param {boolean} quoted - Whether the text was quoted
+     * @param {boolean} split - Whether the text is subject to field splitting
+     * @private
+     */
+    _push(pieces, text, quoted, split = false) {
+        const last = pieces[pieces.length - 1];
+
+        if (last && !last.boundary && last.quoted === quoted && last.split === split) {
+            last.text += text;
+        } else {
+            pieces.push({ text, quoted, split });
+        }
+    }
+
+    /**
+     * Split the results of unquoted expansions on IFS characters. A field that
+     * ends up empty is dropped unless it contained quotes.
+     * @param {Array<Object>} pieces - Expanded pieces
+     * @returns {Array<Array<Object>>} Fields, each a list of pieces
+     * @private
+     */
+    _splitFields(pieces) {
+        const ifs = this.terminal.env.IFS ?? ' \t\n';
+        const separator = ifs ? new RegExp(`[${ifs.replace(/[\]\\^-]/g, '\\$&')}]+`) : null;
+        const fields = [];
+        let current = [];
+        let started = false;
+
+        for (const piece of pieces) {
+            // Between the parameters of "$@"
+            if (piece.boundary) {
+                fields.push(current);
+                current = [];
+                started = true;
+                continue;
+            }
+
+            if (!piece.split || !separator) {
+                current.push(piece);
+                started = started || piece.quoted || piece.text !== '';
+                continue;
+            }
+
+            piece.text.split(separator).forEach((part, index) => {
+                if (index > 0) {
+                    if (started) fields.push(current);
+                    current = [];
+                    started = false;
+                }
+                if (part) {
+                    current.push({ ...piece, text: part });
+                    started = true;
+                }
+            });
+        }
+
+        if (started) fields.push(current);
+        return fields;
+    }
+}
+
+export default Expander;
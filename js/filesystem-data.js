@@ -389,7 +389,7 @@ export const DEFAULT_FS = {
                             "permissions": "rw-r--r--",
                             "modified": "23.03.2024  02:54",
                             "mime": "text/plain",
-                            "contents": "# Demo user bash configuration\n\n# Custom prompt with colors\nPS1='\\[\\033[01;32m\\]\\u@\\h\\[\\033[00m\\]:\\[\\033[01;34m\\]\\w\\[\\033[00m\\]\\$ '\n\n# Useful aliases\nalias grep='grep --color=auto'\nalias ls='ls --color=auto'\nalias ll='ls -alF'\nalias la='ls -A'\nalias l='ls -CF'\n\n# History settings\nHISTCONTROL=ignoreboth\nHISTSIZE=1000\nHISTFILESIZE=2000\n\n# Make less more friendly\nexport LESS=\"-R\"\nexport LESSOPEN=\"| /usr/bin/lesspipe %s\"\nexport LESSCLOSE=\"/usr/bin/lesspipe %s %s\""
+                            "contents": "# Demo user bash configuration\n\n# Custom prompt with colors\nPS1='\\[\\033[01;32m\\]\\u@\\h\\[\\033[00m\\]:\\[\\033[01;34m\\]\\w\\[\\033[00m\\]\\$ '\n\n# Useful aliases\nalias ls='ls --color=auto'\nalias ll='ls -alF'\nalias la='ls -A'\nalias l='ls -CF'\n\n# History settings\nHISTCONTROL=ignoreboth\nHISTSIZE=1000\nHISTFILESIZE=2000\n\n# Make less more friendly\nexport LESS=\"-R\"\nexport LESSOPEN=\"| /usr/bin/lesspipe %s\"\nexport LESSCLOSE=\"/usr/bin/lesspipe %s %s\""
                         },
                         {
                             "key": ".profile",
@@ -569,7 +569,8 @@ export const DEFAULT_ENV = {
     LANG: 'en_US.UTF-8',
     PWD: '/home/demo',
     OLDPWD: null,
-    PS1: '\\u@\\h \\[~\\w\\] \\$ ',
+    PS1: '\\u@\\h [\\w] \\$ ',
+    PS2: '> ',
     EDITOR: 'nano',
     PAGER: 'less'
 };
@@ -583,7 +584,6 @@ export const DEFAULT_ALIASES = {
     'l': 'ls -CF',
     '..': 'cd ..',
     '...': 'cd ../..',
-    'grep': 'grep --color=auto',
     'dir': 'ls',
     'cls': 'clear',
     'md': 'mkdir',
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Pathname expansion (globbing) against the virtual filesystem
+ * @module glob
+ */
+
+/**
+ * Matches shell wildcard patterns against a VirtualFileSystem.
+ *
+ * Supports `*`, `?`, bracket expressions (`[abc]`, `[a-z]`, `[!x]`) and a
+ * `**` path segment that matches any number of directories. A backslash
+ * makes the next character literal.
+ */
+export class Glob {
+    /**
+     * Create a new glob matcher
+     * @param {import('./vfs.js').VirtualFileSystem} vfs - Filesystem to search
+     */
+    constructor(vfs) {
+        this.vfs = vfs;
+    }
+
+    /**
+     * Check whether a pattern contains any unescaped wildcard
+     * @param {string} pattern - Pattern to check
+     * @returns {boolean} True if the pattern needs expanding
+     */
+    static hasMagic(pattern) {
+        for (let i = 0; i < pattern.length; i++) {
+            if (pattern[i] === '\\') {
+                i++;
+            } else if ('*?['.includes(pattern[i])) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Escape wildcard characters so they match literally
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escape(text) {
+        return text.replace(/[*?[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Remove the backslashes added by escape()
+     * @param {string} pattern - Escaped pattern
+     * @returns {string} Literal text
+     */
+    static unescape(pattern) {
+        return pattern.replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * Convert a single path segment pattern into a regular expression
+     * @param {string} segment - Pattern without slashes
+     * @returns {RegExp} Anchored regular expression
+     */
+    static toRegExp(segment) {
+        let source = '';
+
+        for (let i = 0; i < segment.length; i++) {
+            const char = segment[i];
+
+            if (char === '\\') {
+                source += Glob._escapeRegExp(segment[++i] ?? '\\');
+            } else if (char === '*') {
+                source += '.*';
+            } else if (char === '?') {
+                source += '.';
+            } else if (char === '[') {
+                const end = Glob._bracketEnd(segment, i);
+                if (end === -1) {
+                    source += '\\[';
+                    continue;
+                }
+
+                let body = segment.slice(i + 1, end);
+                const negate = body[0] === '!' || body[0] === '^';
+                if (negate) body = body.slice(1);
+
+                source += `[${negate ? '^' : ''}${body.replace(/\\(.)/g, '$1').replace(/[\\\]^]/g, '\\$&')}]`;
+                i = end;
+            } else {
+                source += Glob._escapeRegExp(char);
+            }
+        }
+
+        return new RegExp(`^${source}$`);
+    }
+
+    /**
+     * Expand a pattern into the matching paths, sorted. Paths are returned
+     * the way the pattern was written: relative patterns give relative paths.
+     * @param {string} pattern - Pattern to expand
+     * @returns {Array<string>} Matching paths, empty if nothing matches
+     */
+    expand(pattern) {
+        const absolute = pattern.startsWith('/');
+        const segments = pattern.split('/').filter(Boolean);
+        const trailingSlash = pattern.endsWith('/') && segments.length > 0;
+        const start = absolute ? this.vfs.tree.root : this.vfs.cwd;
+
+        let matches = [{ node: start, path: absolute ? '/' : '' }];
+
+        segments.forEach((segment, index) => {
+            const last = index === segments.length - 1 && !trailingSlash;
+            matches = matches.flatMap(match => this._matchSegment(match, segment, last));
+        });
+
+        return matches
+            .filter(({ path }) => path !== '')
+            .map(({ path }) => trailingSlash ? `${path}/` : path)
+            .sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Match one path segment below a directory
+     * @param {{node: Object, path: string}} match - Directory matched so far
+     * @param {string} segment - Segment pattern
+     * @param {boolean} last - Whether this is the final segment
+     * @returns {Array<{node: Object, path: string}>} Matches
+     * @private
+     */
+    _matchSegment({ node, path }, segment, last) {
+        if (segment === '**') {
+            return this._globstar(node, path, last);
+        }
+
+        if (!Glob.hasMagic(segment)) {
+            const name = Glob.unescape(segment);
+            const child = name === '.' ? node : name === '..' ? (node.parent || node) : node.findChild?.(name);
+
+            if (!child || (!last && child.type !== 'dir')) return [];
+            return [{ node: child, path: Glob._join(path, name) }];
+        }
+
+        const regex = Glob.toRegExp(segment);
+        const showHidden = segment.startsWith('.') || segment.startsWith('\\.');
+
+        return (node.children || [])
+            .filter(child => (showHidden || !child.key.startsWith('.')) && regex.test(child.key))
+            .filter(child => last || child.type === 'dir')
+            .map(child => ({ node: child, path: Glob._join(path, child.key) }));
+    }
+
+    /**
+     * Match `**`: the directory itself and every directory below it, or every
+     * file and directory below it when it is the final segment
+     * @param {Object} node - Directory to start from
+     * @param {string} path - Path of that directory
+     * @param {boolean} last - Whether this is the final segment
+     * @returns {Array<{node: Object, path: string}>} Matches
+     * @private
+     */
+    _globstar(node, path, last) {
+        const results = last ? [] : [{ node, path }];
+
+        const walk = (dir, prefix) => {
+            for (const child of dir.children || []) {
+                if (child.key.startsWith('.')) continue;
+
+                const childPath = Glob._join(prefix, child.key);
+                if (last || child.type === 'dir') {
+                    results.push({ node: child, path: childPath });
+                }
+                if (child.type === 'dir') {
+                    walk(child, childPath);
+                }
+            }
+        };
+
+        walk(node, path);
+        return results;
+    }
+
+    /**
+     * Append a name to a path
+     * @param {string} path - Path so far, empty for the current directory
+     * @param {string} name - Name to append
+     * @returns {string} Joined path
+     * @private
+     */
+    static _join(path, name) {
+        if (path === '') return name;
+        return path.endsWith('/') ? path + name : `${path}/${name}`;
+    }
+
+    /**
+     * Find the closing bracket of a bracket expression
+     * @param {string} segment - Segment pattern
+     * @param {number} start - Index of the opening bracket
+     * @returns {number} Index of the closing bracket, or -1
+     * @private
+     */
+    static _bracketEnd(segment, start) {
+        let i = start + 1;
+        if (segment[i] === '!' || segment[i] === '^') i++;
+        if (segment[i] === ']') i++;
+
+        for (; i < segment.length; i++) {
+            if (segment[i] === '\\') {
+                i++;
+            } else if (segment[i] === ']') {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Escape a character for use in a regular expression
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     * @private
+     */
+    static _escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+}
+
+export default Glob;
@@ -0,0 +1,435 @@
+/**
+ * @fileoverview Command history search and history expansion
+ * @module history
+ */
+
+import utils from './utils.js';
+import { Lexer } from './parser.js';
+
+/**
+ * Incremental search backwards through the command history, as bash's
+ * `(reverse-i-search)` does. Each character typed narrows the search to
+ * entries containing the query; searching again moves to older matches.
+ */
+export class HistorySearch {
+    /**
+     * Start a search
+     * @param {Array<string>} history - Command history, oldest first
+     * @param {string} [line] - Line being typed when the search started
+     */
+    constructor(history, line = '') {
+        this.history = history;
+        this.line = line;
+        this.query = '';
+        this.index = history.length;
+        this.failed = false;
+    }
+
+    /**
+     * The matching entry, or the original line while nothing has matched
+     * @returns {string} Current match
+     */
+    get match() {
+        return this.index < this.history.length ? this.history[this.index] : this.line;
+    }
+
+    /**
+     * Add text to the query and find the newest entry from the current
+     * match backwards that contains it
+     * @param {string} text - Text typed
+     * @returns {boolean} True if an entry matches
+     */
+    type(text) {
+        this.query += text;
+        return this._find(Math.min(this.index, this.history.length - 1));
+    }
+
+    /**
+     * Remove the last character of the query and search again from the
+     * newest entry
+     * @returns {boolean} True if an entry matches
+     */
+    erase() {
+        this.query = this.query.slice(0, -1);
+        if (!this.query) {
+            this.index = this.history.length;
+            this.failed = false;
+            return true;
+        }
+        return this._find(this.history.length - 1);
+    }
+
+    /**
+     * Find the next older entry that contains the query
+     * @returns {boolean} True if there is one
+     */
+    next() {
+        if (!this.query) return false;
+        return this._find(this.index - 1);
+    }
+
+    /**
+     * Render the search prompt
+     * @returns {string} Prompt HTML, such as ``(reverse-i-search)`ls': ``
+     */
+    renderPrompt() {
+        const label = this.failed ? 'failed reverse-i-search' : 'reverse-i-search';
+        return `(${label})\`${utils.escapeHTML(this.query)}': `;
+    }
+
+    /**
+     * Render the current match with the matched text highlighted
+     * @returns {string} Line HTML
+     */
+    renderLine() {
+        const match = this.match;
+        const start = this.query ? match.lastIndexOf(this.query) : -1;
+
+        if (start === -1) {
+            return utils.escapeHTML(match);
+        }
+
+        const end = start + this.query.length;
+        return utils.escapeHTML(match.slice(0, start))
+            + `<span class="search-match">${utils.escapeHTML(match.slice(start, end))}</span>`
+            + utils.escapeHTML(match.slice(end));
+    }
+
+    /**
+     * Find the newest entry at or before an index that contains the query.
+     * When there is none, the current match is kept and the search fails.
+     * @param {number} start - Index to search back from
+     * @returns {boolean} True if an entry matches
+     * @private
+     */
+    _find(start) {
+        for (let i = start; i >= 0; i--) {
+            if (this.history[i].includes(this.query)) {
+                this.index = i;
+                this.failed = false;
+                return true;
+            }
+        }
+
+        this.failed = true;
+        return false;
+    }
+}
+
+/**
+ * History expansion, done on each line typed before it is parsed:
+ *
+ * - events: `!!` (the last command), `!n`, `!-n`, `!prefix`, `!?text?`
+ *   and `!#` (the line so far)
+ * - word designators after the event and a `:`, such as `!!:2`, `!ls:1-3`,
+ *   or on their own for the last command: `!$`, `!^`, `!*`
+ * - modifiers `:h`, `:t`, `:r`, `:e`, `:p`, `:s/old/new/` and `:gs/old/new/`
+ * - `^old^new^` at the start of a line, which repeats the last command
+ *   with `old` replaced by `new`
+ *
+ * As in bash, nothing is expanded within single quotes, after a backslash,
+ * or where `!` is followed by a blank, `=` or `(`; `$!`, `${!name}` and
+ * `[!...]` are left alone too.
+ */
+export class HistoryExpansion {
+    /**
+     * Characters that end an event given as `!prefix`
+     */
+    static EVENT_END = /[\s:;&|<>()'"]/;
+
+    /**
+     * Expand the history references in a line
+     * @param {string} line - Line as typed
+     * @param {Array<string>} history - Command history, oldest first
+     * @returns {{line: string, expanded: boolean, print: boolean}} The expanded
+     *     line, whether anything was expanded, and whether `:p` asked for the
+     *     line to be printed rather than run
+     * @throws {Error} With bash's message, such as `!foo: event not found`
+     */
+    static expand(line, history) {
+        if (line.startsWith('^')) {
+            return HistoryExpansion._quickSubstitution(line, history);
+        }
+
+        let result = '';
+        let quote = null;
+        let expanded = false;
+        let print = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if ((char === "'" || char === '"') && (quote === null || quote === char)) {
+                quote = quote ? null : char;
+            } else if (char === '\\' && quote !== "'") {
+                result += line.slice(i, i + 2);
+                i++;
+                continue;
+            } else if (char === '!' && quote !== "'" && !HistoryExpansion._inhibited(line, i, quote)) {
+                const reference = HistoryExpansion._reference(line, i, history);
+                result += reference.text;
+                print = print || reference.print;
+                expanded = true;
+                i = reference.end - 1;
+                continue;
+            }
+
+            result += char;
+        }
+
+        return { line: result, expanded, print };
+    }
+
+    /**
+     * Split a command line into the words that word designators count:
+     * the command name is word 0, and operators are words of their own
+     * @param {string} line - Command line
+     * @returns {Array<string>} Words
+     */
+    static words(line) {
+        try {
+            return new Lexer(line).tokenize()
+                .filter(token => token.value !== '\n')
+                .map(token => token.value);
+        } catch {
+            return line.trim().split(/\s+/);
+        }
+    }
+
+    /**
+     * Whether a `!` is taken literally
+     * @param {string} line - Line as typed
+     * @param {number} index - Index of the `!`
+     * @param {string|null} quote - Quote the `!` is in
+     * @returns {boolean} True if it does not start a history reference
+     * @private
+     */
+    static _inhibited(line, index, quote) {
+        const next = line[index + 1];
+        const previous = line[index - 1];
+
+        return next === undefined
+            || /[\s=(]/.test(next)
+            || (next === '"' && quote === '"')
+            || previous === '$'
+            || previous === '['
+            || (previous === '{' && line[index - 2] === '$');
+    }
+
+    /**
+     * Expand one history reference
+     * @param {string} line - Line as typed
+     * @param {number} start - Index of the `!`
+     * @param {Array<string>} history - Command history
+     * @returns {{text: string, end: number, print: boolean}} Replacement text,
+     *     index just past the reference, and whether `:p` was given
+     * @private
+     */
+    static _reference(line, start, history) {
+        let position = start + 1;
+        let event;
+
+        const fail = () => {
+            throw new Error(`${line.slice(start, position)}: event not found`);
+        };
+        const last = () => history[history.length - 1] ?? fail();
+
+        const char = line[position];
+        const number = line.slice(position).match(/^-?\d+/);
+
+        if (char === '!') {
+            position++;
+            event = last();
+        } else if (char === '#') {
+            position++;
+            event = line.slice(0, start);
+        } else if (number) {
+            position += number[0].length;
+            const n = parseInt(number[0], 10);
+            event = history[n < 0 ? history.length + n : n - 1] ?? fail();
+        } else if (char === '?') {
+            const end = line.indexOf('?', position + 1);
+            const text = line.slice(position + 1, end === -1 ? line.length : end);
+            position = end === -1 ? line.length : end + 1;
+            event = history.findLast(entry => entry.includes(text)) ?? fail();
+        } else if ('^$*%:'.includes(char)) {
+            // A word designator alone refers to the last command
+            event = last();
+        } else {
+            while (position < line.length && !HistoryExpansion.EVENT_END.test(line[position])) {
+                position++;
+            }
+            const prefix = line.slice(start + 1, position);
+            event = history.findLast(entry => entry.startsWith(prefix)) ?? fail();
+        }
+
+        let text = event;
+        let print = false;
+
+        // Word designator, after a `:` or straight after the event for ^ $ * %
+        const designator = HistoryExpansion._designator(line, position, line[position - 1] === '!');
+        if (designator) {
+            text = HistoryExpansion._selectWords(event, designator.spec);
+            position = designator.end;
+        }
+
+        // Modifiers
+        let modifier;
+        while ((modifier = line.slice(position).match(/^:(g?s)(.)/) || line.slice(position).match(/^:([htrep])/))) {
+            if (modifier[1] === 'p') {
+                print = true;
+                position += 2;
+            } else if (modifier[1].endsWith('s')) {
+                const substitution = HistoryExpansion._parseSubstitution(line, position + modifier[0].length, modifier[2]);
+                text = HistoryExpansion._substitute(text, substitution.old, substitution.replacement, modifier[1] === 'gs', line.slice(position, substitution.end));
+                position = substitution.end;
+            } else {
+                text = HistoryExpansion._modify(text, modifier[1]);
+                position += 2;
+            }
+        }
+
+        return { text, end: position, print };
+    }
+
+    /**
+     * Read a word designator
+     * @param {string} line - Line as typed
+     * @param {number} position - Index just past the event
+     * @param {boolean} bare - Whether the event was left out, as in `!$`
+     * @returns {{spec: string, end: number}|null} Designator, or null if there is none
+     * @private
+     */
+    static _designator(line, position, bare) {
+        const rest = line.slice(position);
+        const match = (bare && rest.match(/^[\^$*%]/)) || rest.match(/^:(\d+-\d*|\d*-?\$|-\d+|[\^$*%]|\d+\*?|\^-\$?)/);
+
+        if (!match) return null;
+        return { spec: match[1] ?? match[0], end: position + match[0].length };
+    }
+
+    /**
+     * Pick the words of an event that a designator selects
+     * @param {string} event - History entry
+     * @param {string} spec - Designator such as `$`, `2`, `1-3` or `2*`
+     * @returns {string} Selected words joined by spaces
+     * @throws {Error} If the words do not exist
+     * @private
+     */
+    static _selectWords(event, spec) {
+        const words = HistoryExpansion.words(event);
+        const lastIndex = words.length - 1;
+        const index = (value) => value === '^' ? 1 : value === '$' ? lastIndex : parseInt(value, 10);
+        let from;
+        let to;
+
+        if (spec === '*') {
+            if (lastIndex < 1) return '';
+            [from, to] = [1, lastIndex];
+        } else if (spec.endsWith('*')) {
+            [from, to] = [index(spec.slice(0, -1)), lastIndex];
+        } else if (spec === '%') {
+            throw new Error(`:${spec}: bad word specifier`);
+        } else if (spec.includes('-')) {
+            const [first, second] = spec.split('-');
+            from = first === '' ? 0 : index(first);
+            to = second === '' ? lastIndex - 1 : index(second);
+        } else {
+            from = to = index(spec);
+        }
+
+        if (from > to || to > lastIndex || from < 0) {
+            throw new Error(`:${spec}: bad word specifier`);
+        }
+        return words.slice(from, to + 1).join(' ');
+    }
+
+    /**
+     * Apply a path modifier
+     * @param {string} text - Text to modify
+     * @param {string} modifier - `h`, `t`, `r` or `e`
+     * @returns {string} Modified text
+     * @private
+     */
+    static _modify(text, modifier) {
+        switch (modifier) {
+            case 'h': return text.includes('/') ? text.replace(/\/[^/]*$/, '') : text;
+            case 't': return text.replace(/^.*\//, '');
+            case 'r': return text.replace(/\.[^./]*$/, '');
+            case 'e': return text.match(/\.[^./]*$/)?.[0] ?? '';
+            default: return text;
+        }
+    }
+
+    /**
+     * Read the `old` and `new` parts of a substitution
+     * @param {string} line - Line as typed
+     * @param {number} position - Index just past the first delimiter
+     * @param {string} delimiter - Delimiter, usually `/`
+     * @returns {{old: string, replacement: string, end: number}} Parts and the index past them
+     * @private
+     */
+    static _parseSubstitution(line, position, delimiter) {
+        const parts = [];
+        let part = '';
+        let i = position;
+
+        while (i < line.length && parts.length < 2) {
+            if (line[i] === '\\' && line[i + 1] === delimiter) {
+                part += delimiter;
+                i += 2;
+            } else if (line[i] === delimiter) {
+                parts.push(part);
+                part = '';
+                i++;
+            } else {
+                part += line[i++];
+            }
+        }
+        if (parts.length < 2) parts.push(part);
+
+        return { old: parts[0], replacement: parts[1] ?? '', end: i };
+    }
+
+    /**
+     * Replace the first, or every, occurrence of a string. `&` in the
+     * replacement stands for the old string.
+     * @param {string} text - Text to change
+     * @param {string} old - String to replace
+     * @param {string} replacement - Replacement
+     * @param {boolean} global - Replace every occurrence
+     * @param {string} source - The substitution as typed, for the error
+     * @returns {string} Changed text
+     * @throws {Error} If `old` does not occur
+     * @private
+     */
+    static _substitute(text, old, replacement, global, source) {
+        if (!old || !text.includes(old)) {
+            throw new Error(`${source}: substitution failed`);
+        }
+
+        const value = replacement.replace(/(\\?)&/g, (match, escape) => escape ? '&' : old);
+        return global ? text.split(old).join(value) : text.replace(old, () => value);
+    }
+
+    /**
+     * Expand `^old^new^`, which repeats the last command with a change
+     * @param {string} line - Line starting with `^`
+     * @param {Array<string>} history - Command history
+     * @returns {{line: string, expanded: boolean, print: boolean}} Expanded line
+     * @private
+     */
+    static _quickSubstitution(line, history) {
+        const event = history[history.length - 1];
+        if (event === undefined) {
+            throw new Error(`${line.split(/\s/)[0]}: event not found`);
+        }
+
+        const { old, replacement, end } = HistoryExpansion._parseSubstitution(line, 1, '^');
+        const text = HistoryExpansion._substitute(event, old, replacement, false, `:s${line.slice(0, end)}`);
+
+        return { line: text + line.slice(end), expanded: true, print: false };
+    }
+}
+
+export default HistorySearch;
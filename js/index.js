@@ -6,7 +6,16 @@
 // Core modules
 import TerminalEmulator from './terminal.js';
 import VirtualFileSystem from './vfs.js';
-import { Parser, ParserCache, CommandValidator } from './parser.js';
+import { Parser, ParserCache, CommandValidator, Lexer, SyntaxParser, ParserError, IncompleteInputError } from './parser.js';
+import Interpreter, { OutputBuffer, ControlFlow } from './interpreter.js';
+import Expander from './expansion.js';
+import Glob from './glob.js';
+import AliasManager from './alias.js';
+import PromptString from './prompt.js';
+import HistorySearch, { HistoryExpansion } from './history.js';
+import CompletionEngine from './completion.js';
+import LineEditor from './readline.js';
+import JobManager, { Job, JobOutput } from './jobs.js';
 import { TreeStructure, TreeNode } from './tree.js';
 import CommandManager, { Command } from './command.js';
 import utils from './utils.js';
@@ -568,6 +577,24 @@ export {
     Parser,
     ParserCache,
     CommandValidator,
+    Lexer,
+    SyntaxParser,
+    ParserError,
+    IncompleteInputError,
+    Interpreter,
+    OutputBuffer,
+    ControlFlow,
+    Expander,
+    Glob,
+    AliasManager,
+    PromptString,
+    HistorySearch,
+    HistoryExpansion,
+    CompletionEngine,
+    LineEditor,
+    JobManager,
+    Job,
+    JobOutput,
     TreeStructure,
     TreeNode,
     
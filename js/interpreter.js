@@ -0,0 +1,901 @@
+/**
+ * @fileoverview Executes parsed command lines against the terminal
+ * @module interpreter
+ */
+
+import utils from './utils.js';
+import { Parser, SyntaxParser, ParserError, IncompleteInputError } from './parser.js';
+import Expander from './expansion.js';
+import Glob from './glob.js';
+import { JobOutput } from './jobs.js';
+
+/**
+ * In-memory stream that collects command output as plain text
+ */
+export class OutputBuffer {
+    constructor() {
+        this.chunks = [];
+    }
+
+    /**
+     * Append text to the buffer
+     * @param {string} text - Text to append
+     */
+    write(text) {
+        this.chunks.push(String(text));
+    }
+
+    /**
+     * Get the collected output
+     * @returns {string} Buffered text
+     */
+    toString() {
+        return this.chunks.join('');
+    }
+}
+
+/**
+ * Thrown by `break`, `continue`, `return` and `exit` to unwind the
+ * interpreter up to the loop, function or script that handles it
+ */
+export class ControlFlow {
+    /**
+     * Create a new control flow signal
+     * @param {string} type - 'break', 'continue', 'return' or 'exit'
+     * @param {number} value - Number of loops to leave, or the status to return or exit with
+     */
+    constructor(type, value) {
+        this.type = type;
+        this.value = value;
+    }
+}
+
+/**
+ * Walks the syntax tree produced by the parser and runs each command
+ */
+export class Interpreter {
+    /**
+     * Words of a simple command that assign a variable, such as `NAME=value`
+     */
+    static ASSIGNMENT = /^[A-Za-z_]\w*=/;
+
+    /**
+     * How deeply function calls may nest before the call fails
+     */
+    static MAX_CALL_DEPTH = 1000;
+
+    /**
+     * Create a new interpreter
+     * @param {import('./terminal.js').default} terminal - Terminal instance
+     */
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.expander = new Expander(terminal);
+
+        // Positional parameters ($1, $2, ...) and $0 of the running script
+        this.positional = [];
+        this.arg0 = 'bash';
+
+        // Number of enclosing loops, for `break` and `continue`
+        this.loopDepth = 0;
+
+        // One scope per running function call, mapping each `local`
+        // variable to the value it had before the call
+        this.scopes = [];
+
+        // Number of scripts being sourced, which `return` may leave
+        this.sourceDepth = 0;
+
+        // Status of the last command substitution, which a command made
+        // only of assignments returns
+        this.substitutionStatus = 0;
+    }
+
+    /**
+     * Execute a syntax tree node
+     * @param {Object} node - Node to execute
+     * @param {Object} io - I/O context ({ terminal, stdin })
+     * @returns {Promise<number>} Exit status
+     */
+    async execute(node, io = {}) {
+        if (!node) return 0;
+
+        switch (node.type) {
+            case 'list':
+                return await this._executeList(node, io);
+            case 'pipeline':
+                return await this._executePipeline(node, io);
+            case 'command':
+                return await this._executeSimple(node, io);
+            case 'if':
+                return await this._withRedirects(node, io, io => this._executeIf(node, io));
+            case 'for':
+                return await this._withRedirects(node, io, io => this._executeFor(node, io));
+            case 'while':
+                return await this._withRedirects(node, io, io => this._executeWhile(node, io));
+            case 'case':
+                return await this._withRedirects(node, io, io => this._executeCase(node, io));
+            case 'group':
+                return await this._withRedirects(node, io, io => this.execute(node.body, io));
+            case 'function':
+                this.terminal.commandManager.defineFunction(node.name, { body: node.body, source: node.source });
+                return 0;
+            case 'background':
+                return this._executeBackground(node, io);
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    /**
+     * Execute a node and collect its standard output instead of printing it
+     * @param {Object} node - Node to execute
+     * @param {Object} io - I/O context ({ terminal, stdin })
+     * @returns {Promise<string>} Captured output
+     */
+    async capture(node, io = {}) {
+        const buffer = new OutputBuffer();
+        const terminal = (io.terminal || this.terminal).withStreams({ stdout: buffer });
+
+        try {
+            this.substitutionStatus = await this.execute(node, { ...io, terminal });
+        } catch (error) {
+            // `exit` and `return` only leave the substitution
+            if (!(error instanceof ControlFlow && ['exit', 'return'].includes(error.type))) throw error;
+            this.substitutionStatus = error.value;
+        }
+        return buffer.toString();
+    }
+
+    /**
+     * Run a script one command at a time, the way bash reads a file: each
+     * command runs before the next one is parsed, and a command spanning
+     * several lines (an `if`, a loop, a here-document...) is read whole.
+     * A syntax error stops the script with status 2.
+     * @param {string} source - Script text
+     * @param {Object} [options] - Script options
+     * @param {string} [options.name] - Script name, used for $0 and in error messages
+     * @param {Array<string>|null} [options.args] - Positional parameters, or null to keep the current ones
+     * @param {Object} [options.io] - I/O context
+     * @param {boolean} [options.subshell=false] - Run on a copy of the environment and working
+     *        directory, and treat `exit` as the end of the script rather than of the shell.
+     *        Otherwise the script is sourced, and `return` ends it.
+     * @returns {Promise<number>} Status of the last command
+     */
+    async runScript(source, { name = this.arg0, args = null, io = {}, subshell = false } = {}) {
+        const saved = {
+            positional: this.positional,
+            arg0: this.arg0,
+            loopDepth: this.loopDepth,
+            scopes: this.scopes,
+            sourceDepth: this.sourceDepth
+        };
+        const env = subshell ? { ...this.terminal.env } : null;
+        const cwd = this.terminal.vfs.cwd;
+
+        if (args) this.positional = args;
+        if (subshell) {
+            this.arg0 = name;
+            this.loopDepth = 0;
+            this.scopes = [];
+            this.sourceDepth = 0;
+        } else {
+            this.sourceDepth++;
+        }
+
+        try {
+            return await this._runLines(source.split('\n'), name, io);
+        } catch (error) {
+            if (error instanceof ControlFlow && error.type === (subshell ? 'exit' : 'return')) {
+                return error.value;
+            }
+            throw error;
+        } finally {
+            Object.assign(this, saved);
+
+            if (subshell) {
+                for (const key of Object.keys(this.terminal.env)) delete this.terminal.env[key];
+                Object.assign(this.terminal.env, env);
+                this.terminal.vfs.cwd = cwd;
+            }
+        }
+    }
+
+    /**
+     * Call a shell function with its own positional parameters and a new
+     * scope for `local` variables, which get their old values back when
+     * the function returns
+     * @param {string} name - Function name
+     * @param {{body: Object}} definition - Function definition
+     * @param {Array<string>} argv - Function name followed by the arguments
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status given to `return`, or of the last command
+     */
+    async callFunction(name, definition, argv, io) {
+        if (this.scopes.length >= Interpreter.MAX_CALL_DEPTH) {
+            (io.terminal || this.terminal).printError(`-bash: ${name}: maximum function nesting level exceeded (${Interpreter.MAX_CALL_DEPTH})`);
+            return 1;
+        }
+
+        const positional = this.positional;
+        const scope = new Map();
+        const env = this.terminal.env;
+
+        this.positional = argv.slice(1);
+        this.scopes.push(scope);
+
+        try {
+            return await this.execute(definition.body, io);
+        } catch (error) {
+            if (error instanceof ControlFlow && error.type === 'return') {
+                return error.value;
+            }
+            throw error;
+        } finally {
+            this.scopes.pop();
+            this.positional = positional;
+
+            for (const [variable, value] of scope) {
+                if (value === undefined) {
+                    delete env[variable];
+                } else {
+                    env[variable] = value;
+                }
+            }
+        }
+    }
+
+    /**
+     * Make a variable local to the running function. Without a value, the
+     * variable starts out unset.
+     * @param {string} name - Variable name
+     * @param {string} [value] - Initial value
+     * @throws {Error} If no function is running
+     */
+    declareLocal(name, value) {
+        const scope = this.scopes[this.scopes.length - 1];
+        if (!scope) {
+            throw new Error('can only be used in a function');
+        }
+
+        const env = this.terminal.env;
+        if (!scope.has(name)) {
+            scope.set(name, env[name]);
+        }
+
+        if (value === undefined) {
+            delete env[name];
+        } else {
+            env[name] = value;
+        }
+    }
+
+    /**
+     * Check whether `return` is allowed, that is inside a function or a
+     * sourced script
+     * @returns {boolean} True if it is
+     */
+    canReturn() {
+        return this.scopes.length > 0 || this.sourceDepth > 0;
+    }
+
+    /**
+     * Find what a command name refers to, in the order the shell looks
+     * it up: alias, keyword, function, builtin, then the executables on
+     * `$PATH` (or the file itself for a name containing a slash)
+     * @param {string} name - Command name
+     * @returns {Array<{type: string, value?: *}>} Every match, first one wins
+     */
+    resolve(name) {
+        const matches = [];
+        const terminal = this.terminal;
+
+        if (terminal.aliases?.has(name)) {
+            matches.push({ type: 'alias', value: terminal.aliases.get(name) });
+        }
+        if (SyntaxParser.RESERVED_WORDS.includes(name)) {
+            matches.push({ type: 'keyword' });
+        }
+
+        const definition = terminal.commandManager?.getFunction(name);
+        if (definition) {
+            matches.push({ type: 'function', value: definition });
+        }
+        if (Object.hasOwn(terminal.commands, name) && terminal.commands[name].type === 'builtin') {
+            matches.push({ type: 'builtin' });
+        }
+
+        if (name.includes('/')) {
+            try {
+                if (terminal.vfs.isExecutable(this._scriptNode(name))) {
+                    matches.push({ type: 'file', value: name });
+                }
+            } catch {
+                // Not a file
+            }
+        } else {
+            for (const path of this.lookPath(name)) {
+                matches.push({ type: 'file', value: path });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Find the executables for a command name in the `$PATH` directories
+     * @param {string} name - Command name without a slash
+     * @returns {Array<string>} Absolute paths, the first one is what runs
+     */
+    lookPath(name) {
+        return this.terminal.vfs.which(name, this.terminal.env.PATH ?? '');
+    }
+
+    /**
+     * Run a command without looking up functions: a shell builtin, or the
+     * executable the name resolves to on `$PATH`, or the file itself when
+     * the name contains a slash. This is what `command name` runs.
+     * @param {Array<string>} argv - Command name followed by the arguments
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Exit status
+     */
+    async runCommand(argv, io) {
+        const name = argv[0];
+        const terminal = io.terminal || this.terminal;
+        const builtin = this.terminal.commands[name];
+
+        if (builtin?.type === 'builtin') {
+            return await this._invoke(builtin, argv, { ...io, terminal });
+        }
+
+        const path = name.includes('/') ? name : this.lookPath(name)[0];
+        if (!path) {
+            terminal.printError(`-bash: <span class="cmd">${name}</span>: command not found`);
+            return 127;
+        }
+
+        return await this._executeFile(path, argv, { ...io, terminal });
+    }
+
+    /**
+     * Read the text of a script from the virtual filesystem. Executables
+     * can be read as well as regular files.
+     * @param {string} path - Path of the script
+     * @returns {string} Script text
+     * @throws {Error} If the path is missing or is a directory
+     */
+    readScript(path) {
+        return this._scriptNode(path).contents || '';
+    }
+
+    /**
+     * Run the pipelines of a list, skipping `&&` and `||` branches
+     * according to the status of the previous pipeline
+     * @param {Object} node - List node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the last pipeline that ran
+     * @private
+     */
+    async _executeList(node, io) {
+        let status = 0;
+
+        for (const { operator, node: pipeline } of node.items) {
+            if (operator === '&&' && status !== 0) continue;
+            if (operator === '||' && status === 0) continue;
+
+            status = await this.execute(pipeline, io);
+            // A killed job unwinds here, leaving $? to the shell that killed it
+            io.signal?.throwIfAborted();
+            this.terminal.env['?'] = String(status);
+        }
+
+        return status;
+    }
+
+    /**
+     * Run each stage of a pipeline, feeding its output to the next stage
+     * @param {Object} node - Pipeline node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the last stage
+     * @private
+     */
+    async _executePipeline(node, io) {
+        const terminal = io.terminal || this.terminal;
+        let stdin = io.stdin ?? null;
+        let status = 0;
+
+        for (let i = 0; i < node.commands.length; i++) {
+            const isLast = i === node.commands.length - 1;
+            const buffer = isLast ? null : new OutputBuffer();
+            const stage = buffer ? terminal.withStreams({ stdout: buffer }) : terminal;
+
+            status = await this.execute(node.commands[i], { ...io, terminal: stage, stdin });
+
+            stdin = buffer ? buffer.toString() : null;
+        }
+
+        return status;
+    }
+
+    /**
+     * Look up and run a single command with its redirections applied.
+     * Commands that return nothing succeed; commands that throw fail with 1.
+     * Leading `NAME=value` words set variables: for good when they are the
+     * whole command, otherwise only while the command runs.
+     * @param {Object} node - Command node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Exit status
+     * @private
+     */
+    async _executeSimple(node, io) {
+        await io.job?.checkpoint();
+
+        const count = node.words.findIndex(word => !Interpreter.ASSIGNMENT.test(word.value));
+        const assignments = count === -1 ? node.words : node.words.slice(0, count);
+        const variables = {};
+        let argv;
+
+        this.substitutionStatus = 0;
+
+        try {
+            for (const { value } of assignments) {
+                const separator = value.indexOf('=');
+                variables[value.slice(0, separator)] = await this.expander.expandString(value.slice(separator + 1), io);
+            }
+            argv = await this.expander.expandWords(node.words.slice(assignments.length), io);
+        } catch (error) {
+            (io.terminal || this.terminal).printError(`-bash: ${error.message}`);
+            return 1;
+        }
+
+        const redirection = await this._openRedirects(node.redirects || [], io);
+        if (!redirection) return 1;
+
+        const { terminal, stdin } = redirection;
+        const env = this.terminal.env;
+        const previous = argv.length > 0
+            ? Object.fromEntries(Object.keys(variables).map(name => [name, env[name]]))
+            : {};
+
+        Object.assign(env, variables);
+
+        try {
+            if (argv.length === 0) return this.substitutionStatus;
+
+            // Functions take precedence over commands of the same name
+            const definition = this.terminal.commandManager?.getFunction(argv[0]);
+            if (definition) {
+                return await this.callFunction(argv[0], definition, argv, { ...io, terminal, stdin });
+            }
+
+            return await this.runCommand(argv, { ...io, terminal, stdin });
+        } finally {
+            for (const [name, value] of Object.entries(previous)) {
+                if (value === undefined) {
+                    delete env[name];
+                } else {
+                    env[name] = value;
+                }
+            }
+            this._closeRedirects(redirection);
+        }
+    }
+
+    /**
+     * Run `if`: the body of the first clause whose condition succeeds, or
+     * the `else` body
+     * @param {Object} node - If node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the body that ran, or 0
+     * @private
+     */
+    async _executeIf(node, io) {
+        for (const { condition, body } of node.clauses) {
+            if (await this.execute(condition, io) === 0) {
+                return await this.execute(body, io);
+            }
+        }
+        return node.elseBody ? await this.execute(node.elseBody, io) : 0;
+    }
+
+    /**
+     * Run `for`, setting the variable to each expanded word in turn
+     * @param {Object} node - For node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the last command run by the body, or 0
+     * @private
+     */
+    async _executeFor(node, io) {
+        let values;
+        try {
+            values = node.words ? await this.expander.expandWords(node.words, io) : [...this.positional];
+        } catch (error) {
+            (io.terminal || this.terminal).printError(`-bash: ${error.message}`);
+            return 1;
+        }
+
+        let status = 0;
+        this.loopDepth++;
+
+        try {
+            for (const value of values) {
+                this.terminal.env[node.name] = value;
+
+                const result = await this._runIteration(node.body, io);
+                status = result.status;
+                if (result.break) break;
+            }
+        } finally {
+            this.loopDepth--;
+        }
+
+        return status;
+    }
+
+    /**
+     * Run `while` or `until`, checking the condition before each pass
+     * @param {Object} node - While node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the last command run by the body, or 0
+     * @private
+     */
+    async _executeWhile(node, io) {
+        let status = 0;
+        this.loopDepth++;
+
+        try {
+            while ((await this.execute(node.condition, io) === 0) !== node.until) {
+                const result = await this._runIteration(node.body, io);
+                status = result.status;
+                if (result.break) break;
+            }
+        } finally {
+            this.loopDepth--;
+        }
+
+        return status;
+    }
+
+    /**
+     * Start a list in the background as a new job and return at once. The
+     * job runs in its own interpreter on a copy of the environment, and its
+     * output is printed with the job number in front.
+     * @param {Object} node - Background node
+     * @param {Object} io - I/O context
+     * @returns {number} Status 0
+     * @private
+     */
+    _executeBackground(node, io) {
+        const terminal = io.terminal || this.terminal;
+        const jobs = this.terminal.jobs;
+        const job = jobs.create(node.source, terminal);
+        const stdout = new JobOutput(terminal, job);
+        const stderr = new JobOutput(terminal, job, 'error');
+
+        const overrides = { env: { ...this.terminal.env } };
+        const view = terminal.withStreams({ stdout, stderr }).withOverrides(overrides);
+        const interpreter = overrides.interpreter = new Interpreter(view);
+        interpreter.positional = [...this.positional];
+        interpreter.arg0 = this.arg0;
+
+        jobs.spawn(job, async () => {
+            try {
+                return await interpreter.execute(node.body, { ...io, terminal: view, signal: job.signal, job });
+            } finally {
+                stdout.flush();
+                stderr.flush();
+            }
+        });
+
+        this.terminal.env['!'] = String(job.pid);
+        terminal.print(`[${job.id}] ${job.pid}`);
+        return 0;
+    }
+
+    /**
+     * Run one pass of a loop body, handling `break` and `continue`. A signal
+     * for an outer loop is passed on with one level fewer to go.
+     * @param {Object} body - Loop body
+     * @param {Object} io - I/O context
+     * @returns {Promise<{status: number, break: boolean}>} Body status and whether to leave the loop
+     * @private
+     */
+    async _runIteration(body, io) {
+        await io.job?.checkpoint();
+
+        try {
+            return { status: await this.execute(body, io), break: false };
+        } catch (error) {
+            if (!(error instanceof ControlFlow) || !['break', 'continue'].includes(error.type)) throw error;
+
+            if (error.value > 1) {
+                error.value--;
+                throw error;
+            }
+            return { status: 0, break: error.type === 'break' };
+        }
+    }
+
+    /**
+     * Run `case`: the body of the first clause with a pattern that matches
+     * the word
+     * @param {Object} node - Case node
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the body that ran, or 0
+     * @private
+     */
+    async _executeCase(node, io) {
+        try {
+            const value = await this.expander.expandString(node.word.value, io);
+
+            for (const { patterns, body } of node.clauses) {
+                for (const pattern of patterns) {
+                    if (Glob.toRegExp(await this.expander.expandPattern(pattern.value, io)).test(value)) {
+                        return body ? await this.execute(body, io) : 0;
+                    }
+                }
+            }
+        } catch (error) {
+            if (error instanceof ControlFlow) throw error;
+
+            (io.terminal || this.terminal).printError(`-bash: ${error.message}`);
+            return 1;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Run a compound command with its own redirections applied
+     * @param {Object} node - Compound command node
+     * @param {Object} io - I/O context
+     * @param {Function} run - Runs the command in the given I/O context
+     * @returns {Promise<number>} Exit status
+     * @private
+     */
+    async _withRedirects(node, io, run) {
+        if (!node.redirects?.length) {
+            return await run(io);
+        }
+
+        const redirection = await this._openRedirects(node.redirects, io);
+        if (!redirection) return 1;
+
+        try {
+            return await run({ ...io, terminal: redirection.terminal, stdin: redirection.stdin });
+        } finally {
+            this._closeRedirects(redirection);
+        }
+    }
+
+    /**
+     * Run a command with its parsed arguments
+     * @param {Object} command - Entry of the terminal's command table
+     * @param {Array<string>} argv - Command name followed by the arguments
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Exit status
+     * @private
+     */
+    async _invoke(command, argv, io) {
+        let parser;
+        try {
+            parser = Parser.fromArgv(argv, command.optionSpec);
+        } catch (error) {
+            if (!(error instanceof ParserError)) throw error;
+            io.terminal.printError(`${argv[0]}: ${error.message}`);
+            return 2;
+        }
+
+        try {
+            const status = await command.func(parser, { ...io, argv });
+            return Number.isInteger(status) ? status : 0;
+        } catch (error) {
+            if (error instanceof ControlFlow) throw error;
+            // A command that gave up because its job was killed
+            if (io.signal?.aborted) throw io.signal.reason;
+
+            io.terminal.printError(`${parser.command}: ${error.message}`);
+            console.error(`Command '${parser.command}' error:`, error);
+            return 1;
+        }
+    }
+
+    /**
+     * Run an executable given by path, such as `/bin/ls` or `./script.sh`.
+     * An executable installed for a registered command runs that command;
+     * any other executable file runs as a script in a subshell.
+     * @param {string} path - Path of the file
+     * @param {Array<string>} argv - Path followed by the arguments
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Exit status
+     * @private
+     */
+    async _executeFile(path, argv, io) {
+        let node;
+        try {
+            node = this._scriptNode(path);
+        } catch (error) {
+            io.terminal.printError(`-bash: ${path}: ${error.message}`);
+            return error.message === 'Is a directory' ? 126 : 127;
+        }
+
+        if (!this.terminal.vfs.isExecutable(node)) {
+            io.terminal.printError(`-bash: ${path}: Permission denied`);
+            return 126;
+        }
+
+        const command = node.type === 'exec' && Object.hasOwn(this.terminal.commands, node.key)
+            ? this.terminal.commands[node.key]
+            : null;
+        if (command) {
+            return await this._invoke(command, argv, io);
+        }
+
+        return await this.runScript(node.contents || '', { name: path, args: argv.slice(1), io, subshell: true });
+    }
+
+    /**
+     * Find the filesystem node of a script
+     * @param {string} path - Path of the script
+     * @returns {Object} File or executable node
+     * @throws {Error} If the path is missing or is a directory
+     * @private
+     */
+    _scriptNode(path) {
+        let node;
+        try {
+            node = this.terminal.vfs._resolve_path(path);
+        } catch {
+            throw new Error('No such file or directory');
+        }
+
+        if (node.type === 'dir') {
+            throw new Error('Is a directory');
+        }
+        return node;
+    }
+
+    /**
+     * Parse and run script lines, one complete command at a time
+     * @param {Array<string>} lines - Script lines
+     * @param {string} name - Script name for error messages
+     * @param {Object} io - I/O context
+     * @returns {Promise<number>} Status of the last command
+     * @private
+     */
+    async _runLines(lines, name, io) {
+        let status = 0;
+        let start = 0;
+
+        for (let end = 1; end <= lines.length; end++) {
+            const text = lines.slice(start, end).join('\n');
+            let tree;
+
+            try {
+                tree = this.terminal.parseLine(text);
+            } catch (error) {
+                if (!(error instanceof ParserError)) throw error;
+                if (error instanceof IncompleteInputError && end < lines.length) {
+                    continue;
+                }
+
+                const line = start + 1 + (text.slice(0, error.position).match(/\n/g) || []).length;
+                const message = error instanceof IncompleteInputError ? 'syntax error: unexpected end of file' : error.message;
+                (io.terminal || this.terminal).printError(utils.escapeHTML(error.format(`${name}: line ${line}: ${message}`)));
+                return 2;
+            }
+
+            start = end;
+            if (tree) {
+                status = await this.execute(tree, io);
+            }
+        }
+
+        return status;
+    }
+
+    /**
+     * Apply redirections, left to right, on top of the given I/O context.
+     * Output files are truncated up front and written once the command ends.
+     * @param {Array<Object>} redirects - Redirect nodes
+     * @param {Object} io - I/O context
+     * @returns {Promise<Object|null>} Redirected context, or null if a file could not be opened
+     * @private
+     */
+    async _openRedirects(redirects, io) {
+        const terminal = io.terminal || this.terminal;
+        const vfs = this.terminal.vfs;
+        const streams = {};
+        const files = [];
+        let stdin = io.stdin ?? null;
+
+        for (const redirect of redirects) {
+            if (redirect.mode === 'duplicate') {
+                streams[redirect.fd] = streams[redirect.source]
+                    || (redirect.source === 2 ? this._errorStream(terminal) : this._screenStream(terminal));
+                continue;
+            }
+
+            const target = redirect.target.value;
+
+            try {
+                if (redirect.mode === 'heredoc') {
+                    stdin = redirect.expand ? await this.expander.expandHeredoc(redirect.body, io) : redirect.body;
+                    continue;
+                }
+                if (redirect.mode === 'herestring') {
+                    stdin = `${await this.expander.expandString(target, io)}\n`;
+                    continue;
+                }
+
+                const fields = await this.expander.expandWord(target, io);
+                if (fields.length !== 1) {
+                    throw new Error('ambiguous redirect');
+                }
+
+                const path = vfs._normalizePath(fields[0]);
+
+                if (redirect.mode === 'read') {
+                    stdin = vfs.cat('', path);
+                    continue;
+                }
+
+                vfs.cat(redirect.mode === 'write' ? '>' : '>>', path, '');
+
+                const buffer = new OutputBuffer();
+                files.push({ path, buffer });
+                streams[redirect.fd] = buffer;
+            } catch (error) {
+                terminal.printError(`-bash: ${target}: ${error.message}`);
+                return null;
+            }
+        }
+
+        const redirected = streams[1] || streams[2]
+            ? terminal.withStreams({ stdout: streams[1], stderr: streams[2] })
+            : terminal;
+
+        return { terminal: redirected, stdin, files };
+    }
+
+    /**
+     * Flush redirected output into its files
+     * @param {Object} redirection - Context returned by _openRedirects()
+     * @private
+     */
+    _closeRedirects(redirection) {
+        for (const { path, buffer } of redirection.files) {
+            try {
+                this.terminal.vfs.cat('>>', path, buffer.toString());
+            } catch (error) {
+                redirection.terminal.printError(`-bash: ${path}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Stream that writes text to a terminal's regular output
+     * @param {TerminalEmulator} terminal - Terminal or terminal view
+     * @returns {{write: Function}} Stream
+     * @private
+     */
+    _screenStream(terminal) {
+        return {
+            write: (text) => terminal.write(utils.escapeHTML(text))
+        };
+    }
+
+    /**
+     * Stream that writes text to a terminal's error output
+     * @param {TerminalEmulator} terminal - Terminal or terminal view
+     * @returns {{write: Function}} Stream
+     * @private
+     */
+    _errorStream(terminal) {
+        return {
+            write: (text) => terminal.printError(utils.escapeHTML(text.replace(/\n$/, '')))
+        };
+    }
+}
+
+export default Interpreter;
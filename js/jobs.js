@@ -0,0 +1,527 @@
+/**
+ * @fileoverview Job control: foreground, background and stopped jobs
+ * @module jobs
+ */
+
+import utils from './utils.js';
+import { ControlFlow } from './interpreter.js';
+
+/**
+ * A command line run as a job. Killing the job aborts its `signal`, which
+ * commands can watch to stop early; the interpreter also checks the job
+ * before each command and loop iteration, waiting there while the job is
+ * stopped and unwinding once it has been killed. A command that does
+ * neither keeps running, but what it prints through the job's `output()`
+ * view is held back while the job is stopped and dropped once it is
+ * killed, and a stopped job only ends once it is continued.
+ */
+export class Job {
+    /**
+     * Signals by name, with their number and the state a job they end or
+     * stop is shown in
+     */
+    static SIGNALS = {
+        HUP: { number: 1, state: 'Hangup' },
+        INT: { number: 2, state: 'Interrupt' },
+        KILL: { number: 9, state: 'Killed' },
+        TERM: { number: 15, state: 'Terminated' },
+        CONT: { number: 18 },
+        STOP: { number: 19, state: 'Stopped (signal)' },
+        TSTP: { number: 20, state: 'Stopped' }
+    };
+
+    /**
+     * Milliseconds a job may run before `checkpoint()` yields to the page
+     */
+    static YIELD_INTERVAL = 50;
+
+    /**
+     * Create a new job
+     * @param {TerminalEmulator} terminal - Terminal that errors of the job are reported to
+     * @param {string} command - Command line, as shown by `jobs`
+     * @param {number} pid - Process ID
+     */
+    constructor(terminal, command, pid) {
+        this.terminal = terminal;
+        this.command = command;
+        this.pid = pid;
+
+        // Job number, given when the job enters the job table
+        this.id = null;
+        this.background = false;
+        this.state = 'Running';
+        this.status = null;
+        this.done = null;
+
+        this.controller = new AbortController();
+        this._killedBy = null;
+        this._continued = null;
+        this._stopListeners = [];
+        this._yielded = Date.now();
+        this._held = null;
+    }
+
+    /**
+     * Signal aborted when the job is killed
+     * @returns {AbortSignal} Abort signal
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Whether the job has ended
+     * @returns {boolean} True once the job's command line has returned
+     */
+    get finished() {
+        return this.status !== null;
+    }
+
+    /**
+     * Whether the job is stopped
+     * @returns {boolean} True while stopped
+     */
+    get stopped() {
+        return this._continued !== null;
+    }
+
+    /**
+     * Start running the job. `exit` and signals end the job with their
+     * status; other errors are reported and end it with status 1.
+     * @param {Function} run - Runs the command line and resolves to its status
+     * @returns {Promise<number>} Resolves to the exit status when the job ends
+     */
+    start(run) {
+        this.done = (async () => {
+            try {
+                return await run();
+            } catch (error) {
+                if (error instanceof ControlFlow) return error.value;
+
+                this.terminal.printHTML(`<span class="error">Error</span>: ${error.message}\n`);
+                console.error('Command line error:', error);
+                return 1;
+            } finally {
+                // A job that comes to its end while stopped ends once continued
+                while (this._continued) {
+                    await this._continued.promise;
+                }
+            }
+        })().then(status => this._finish(status));
+
+        return this.done;
+    }
+
+    /**
+     * Get a view of a terminal for the job to print to. While the job is
+     * stopped its output is held back, to be printed when it continues;
+     * once it has been killed, anything it still prints is dropped.
+     * @param {TerminalEmulator} terminal - Terminal to print to
+     * @returns {TerminalEmulator} Terminal view
+     */
+    output(terminal) {
+        const job = this;
+        const held = document.createElement('div');
+        const dropped = document.createElement('div');
+        this._held = { terminal, held };
+
+        return terminal.withOverrides({
+            get stdout() {
+                if (job.signal.aborted && !job.finished) {
+                    dropped.replaceChildren();
+                    return dropped;
+                }
+                return job.stopped ? held : terminal.stdout;
+            }
+        });
+    }
+
+    /**
+     * Wait here while the job is stopped, then throw if it has been killed.
+     * The interpreter calls this before each command. A busy job gives the
+     * page a turn every so often, so that keys like Ctrl+Z still arrive.
+     * @throws {ControlFlow} A `signal` control flow once the job is killed
+     */
+    async checkpoint() {
+        if (Date.now() - this._yielded > Job.YIELD_INTERVAL) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this._yielded = Date.now();
+        }
+        while (this._continued) {
+            await this._continued.promise;
+        }
+        this.signal.throwIfAborted();
+    }
+
+    /**
+     * Send a signal to the job: STOP and TSTP stop it, CONT continues it,
+     * and any other signal kills it
+     * @param {string} name - Signal name without the `SIG` prefix
+     * @returns {boolean} False if the job has already ended
+     */
+    kill(name) {
+        if (this.finished) return false;
+
+        if (name === 'STOP' || name === 'TSTP') {
+            this._stop(name);
+        } else if (name === 'CONT') {
+            this.resume();
+        } else {
+            this._killedBy = name;
+            this.controller.abort(new ControlFlow('signal', 128 + Job.SIGNALS[name].number));
+            this.resume();
+        }
+        return true;
+    }
+
+    /**
+     * Continue the job if it is stopped, printing the output held back
+     * while it was, unless it has been killed
+     */
+    resume() {
+        if (!this._continued) return;
+
+        const { resolve } = this._continued;
+        this._continued = null;
+        this.state = 'Running';
+
+        if (this._held && !this.signal.aborted) {
+            const { terminal, held } = this._held;
+            terminal.stdout.append(...held.childNodes);
+            terminal.scrollBottom();
+        }
+        resolve();
+    }
+
+    /**
+     * Call a function the next time the job stops
+     * @param {Function} listener - Called with no arguments
+     * @returns {Function} Removes the listener again
+     */
+    onStop(listener) {
+        this._stopListeners.push(listener);
+        return () => {
+            this._stopListeners = this._stopListeners.filter(other => other !== listener);
+        };
+    }
+
+    /**
+     * Stop the job at its next checkpoint
+     * @param {string} name - Signal that stops it
+     * @private
+     */
+    _stop(name) {
+        this.state = Job.SIGNALS[name].state;
+        if (!this._continued) {
+            let resolve;
+            const promise = new Promise(res => resolve = res);
+            this._continued = { promise, resolve };
+        }
+
+        const listeners = this._stopListeners;
+        this._stopListeners = [];
+        listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Record how the job ended
+     * @param {number} status - Exit status of the command line
+     * @returns {number} Exit status of the job
+     * @private
+     */
+    _finish(status) {
+        if (this._killedBy) {
+            const signal = Job.SIGNALS[this._killedBy];
+            this.status = 128 + signal.number;
+            this.state = signal.state;
+        } else {
+            this.status = status;
+            this.state = status === 0 ? 'Done' : `Exit ${status}`;
+        }
+        return this.status;
+    }
+}
+
+/**
+ * Stream that prints a background job's output, one line at a time, with
+ * the job number in front of each line
+ */
+export class JobOutput {
+    /**
+     * Create a new job output stream
+     * @param {TerminalEmulator} terminal - Terminal to print to
+     * @param {Job} job - Job whose output this is
+     * @param {string|null} [className] - Class of the printed text, such as `error`
+     */
+    constructor(terminal, job, className = null) {
+        this.terminal = terminal;
+        this.job = job;
+        this.className = className;
+        this.pending = '';
+    }
+
+    /**
+     * Append text, printing every line it completes
+     * @param {string} text - Text to append
+     */
+    write(text) {
+        const lines = (this.pending + text).split('\n');
+        this.pending = lines.pop();
+        lines.forEach(line => this._print(line));
+    }
+
+    /**
+     * Print what is left of an unfinished last line
+     */
+    flush() {
+        if (this.pending) {
+            this._print(this.pending);
+            this.pending = '';
+        }
+    }
+
+    /**
+     * Print one line with the job tag
+     * @param {string} line - Line of text
+     * @private
+     */
+    _print(line) {
+        const text = this.className
+            ? `<span class="${this.className}">${utils.escapeHTML(line)}</span>`
+            : utils.escapeHTML(line);
+        this.terminal.printHTML(`<span class="info">[${this.job.id}]</span> ${text}`);
+    }
+}
+
+/**
+ * The shell's job table: the foreground job, and the background and
+ * stopped jobs that `jobs`, `fg`, `bg` and `kill` work on
+ */
+export class JobManager {
+    /**
+     * Exit status of a foreground job that was stopped (128 + SIGTSTP)
+     */
+    static STOPPED_STATUS = 128 + Job.SIGNALS.TSTP.number;
+
+    /**
+     * Create a new job manager
+     * @param {TerminalEmulator} terminal - Terminal that status messages are printed to
+     */
+    constructor(terminal) {
+        this.terminal = terminal;
+        this.jobs = new Map();
+        this.foreground = null;
+
+        // Jobs from least to most recently started in or sent to the
+        // background, or stopped; the last is the current job (`%+`)
+        this._recent = [];
+        this._nextPid = 1000;
+    }
+
+    /**
+     * Number of jobs in the table
+     * @returns {number} Number of background and stopped jobs
+     */
+    get size() {
+        return this.jobs.size;
+    }
+
+    /**
+     * Create a job that is not in the table yet
+     * @param {string} command - Command line
+     * @param {TerminalEmulator} [terminal] - Terminal that errors of the job are reported to
+     * @returns {Job} New job
+     */
+    create(command, terminal = this.terminal) {
+        return new Job(terminal, command, this._nextPid++);
+    }
+
+    /**
+     * Start a job in the background and add it to the table
+     * @param {Job} job - Job to start
+     * @param {Function} run - Runs the command line and resolves to its status
+     * @returns {Job} The job
+     */
+    spawn(job, run) {
+        job.background = true;
+        this._add(job);
+        job.start(run);
+        return job;
+    }
+
+    /**
+     * Run a job in the foreground until it ends, is stopped or is killed.
+     * A stopped job stays in the table, so that `fg` or `bg` can continue
+     * it. A killed job gives the prompt back at once, even if its command
+     * has not noticed yet.
+     * @param {Job} job - Job that has been started
+     * @returns {Promise<number>} Exit status, 148 if the job was stopped, or 128 + the signal number if it was killed
+     */
+    async wait(job) {
+        const previous = this.foreground;
+        let removeListener;
+        let onAbort;
+
+        job.background = false;
+        this.foreground = job;
+
+        try {
+            const stopped = new Promise(resolve => {
+                removeListener = job.onStop(() => resolve('stopped'));
+            });
+            const killed = new Promise(resolve => {
+                onAbort = () => resolve('killed');
+                if (job.signal.aborted) onAbort();
+                job.signal.addEventListener('abort', onAbort, { once: true });
+            });
+
+            const outcome = await Promise.race([job.done.then(() => 'done'), stopped, killed]);
+
+            if (outcome === 'stopped') {
+                this._add(job);
+                this.terminal.print(this.format(job));
+                return JobManager.STOPPED_STATUS;
+            }
+
+            this._remove(job);
+            return outcome === 'killed' ? job.signal.reason.value : job.status;
+        } finally {
+            removeListener();
+            job.signal.removeEventListener('abort', onAbort);
+            this.foreground = previous;
+        }
+    }
+
+    /**
+     * Stop the foreground job, as Ctrl+Z does
+     * @returns {boolean} True if there was a job to stop
+     */
+    suspend() {
+        return !!this.foreground && this.foreground.kill('TSTP');
+    }
+
+    /**
+     * Continue a stopped job in the background
+     * @param {Job} job - Job to continue
+     */
+    continueInBackground(job) {
+        job.background = true;
+        this._touch(job);
+        job.resume();
+    }
+
+    /**
+     * Find a job from a job spec: `%n`, `%+` or `%%` (the current job),
+     * `%-` (the previous one), `%string` (a command starting with string),
+     * `%?string` (a command containing it), or a process ID
+     * @param {string} [spec] - Job spec, the current job when omitted
+     * @returns {Job} The job
+     * @throws {Error} If no job matches
+     */
+    find(spec = '%%') {
+        let job;
+
+        if (/^\d+$/.test(spec)) {
+            job = this.list().find(candidate => candidate.pid === Number(spec));
+            if (!job) throw new Error(`(${spec}) - No such process`);
+            return job;
+        }
+
+        const name = spec.replace(/^%/, '');
+        if (name === '' || name === '%' || name === '+') {
+            job = this._recent[this._recent.length - 1];
+            if (!job) throw new Error('current: no such job');
+            return job;
+        }
+
+        if (name === '-') {
+            job = this._recent[this._recent.length - 2];
+        } else if (/^\d+$/.test(name)) {
+            job = this.jobs.get(Number(name));
+        } else if (name.startsWith('?')) {
+            job = this.list().find(candidate => candidate.command.includes(name.slice(1)));
+        } else {
+            job = this.list().find(candidate => candidate.command.startsWith(name));
+        }
+
+        if (!job) throw new Error(`${spec}: no such job`);
+        return job;
+    }
+
+    /**
+     * Get the jobs in the table
+     * @returns {Array<Job>} Jobs ordered by job number
+     */
+    list() {
+        return [...this.jobs.values()].sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Format a job the way `jobs` prints it
+     * @param {Job} job - Job to format
+     * @param {boolean} [pid=false] - Include the process ID
+     * @returns {string} Line such as `[1]+  Running    sleep 10 &`
+     */
+    format(job, pid = false) {
+        const recent = this._recent.indexOf(job);
+        const mark = recent === this._recent.length - 1 ? '+' : recent === this._recent.length - 2 ? '-' : ' ';
+        const command = job.background && !job.finished && !job.stopped ? `${job.command} &` : job.command;
+
+        return `[${job.id}]${mark}  ${pid ? `${job.pid} ` : ''}${job.state.padEnd(24)}${command}`;
+    }
+
+    /**
+     * Print the jobs that have ended since the last prompt, and remove them
+     */
+    notify() {
+        for (const job of this.list().filter(job => job.finished)) {
+            this.terminal.print(this.format(job));
+            this._remove(job);
+        }
+    }
+
+    /**
+     * Remove the jobs that have ended without printing them
+     */
+    removeFinished() {
+        this.list().filter(job => job.finished).forEach(job => this._remove(job));
+    }
+
+    /**
+     * Add a job to the table, giving it the next free job number
+     * @param {Job} job - Job to add
+     * @private
+     */
+    _add(job) {
+        if (job.id === null) {
+            job.id = Math.max(0, ...this.jobs.keys()) + 1;
+            this.jobs.set(job.id, job);
+        }
+        this._touch(job);
+    }
+
+    /**
+     * Make a job the current job
+     * @param {Job} job - Job in the table
+     * @private
+     */
+    _touch(job) {
+        this._recent = this._recent.filter(other => other !== job);
+        this._recent.push(job);
+    }
+
+    /**
+     * Take a job out of the table
+     * @param {Job} job - Job to remove
+     * @private
+     */
+    _remove(job) {
+        if (job.id === null) return;
+
+        this.jobs.delete(job.id);
+        this._recent = this._recent.filter(other => other !== job);
+        job.id = null;
+    }
+}
+
+export default JobManager;
@@ -7,11 +7,55 @@
  * Custom error for parsing failures
  */
 export class ParserError extends Error {
-    constructor(message, position, input) {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - Position in the input
+     * @param {string} input - Input being parsed
+     * @param {string|null} [hint] - Suggestion for fixing the input
+     */
+    constructor(message, position, input, hint = null) {
         super(message);
         this.name = 'ParserError';
         this.position = position;
         this.input = input;
+        this.hint = hint;
+    }
+
+    /**
+     * Describe where the error is, for display or for an embedder to
+     * mark up the input. Lines and columns count from 1.
+     * @returns {{message: string, hint: string|null, incomplete: boolean, position: number, line: number, column: number, source: string}}
+     *     The error, its position by line and column, and the text of that line
+     */
+    diagnostic() {
+        const input = typeof this.input === 'string' ? this.input : '';
+        const position = Math.max(0, Math.min(this.position ?? 0, input.length));
+        const lineStart = input.lastIndexOf('\n', position - 1) + 1;
+        const lineEnd = input.indexOf('\n', position);
+
+        return {
+            message: this.message,
+            hint: this.hint,
+            incomplete: this instanceof IncompleteInputError,
+            position,
+            line: input.slice(0, position).split('\n').length,
+            column: position - lineStart + 1,
+            source: input.slice(lineStart, lineEnd === -1 ? input.length : lineEnd)
+        };
+    }
+
+    /**
+     * Format the error as bash reports syntax errors, followed by the line
+     * the error is on, a caret under its column, and the hint if any
+     * @param {string} [heading] - First line, the message by default
+     * @returns {string} Report text
+     */
+    format(heading = this.message) {
+        const { hint, column, source } = this.diagnostic();
+        // Tabs are kept so the caret lines up under tab-indented text
+        const caret = `${source.slice(0, column - 1).replace(/[^\t]/g, ' ')}^`;
+
+        return [heading, source, caret, ...(hint ? [`hint: ${hint}`] : [])].join('\n');
     }
 
     toString() {
@@ -20,33 +64,1092 @@ export class ParserError extends Error {
 }
 
 /**
- * Command line parser with optimized performance
+ * Raised when the input is valid so far but needs more lines to be complete:
+ * an open quote, a trailing `\`, `|`, `&&` or `||`, a here-document still
+ * waiting for its delimiter, or an `if`, loop or `case` not yet closed
+ */
+export class IncompleteInputError extends ParserError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} position - Position in the input
+     * @param {string} input - Input being parsed
+     * @param {string|null} [delimiter] - Delimiter of the here-document still open, if that is what is missing
+     * @param {string|null} [hint] - Suggestion for completing the input
+     */
+    constructor(message, position, input, delimiter = null, hint = null) {
+        super(message, position, input, hint);
+        this.name = 'IncompleteInputError';
+        this.delimiter = delimiter;
+    }
+}
+
+/**
+ * Quote-aware tokenizer that splits a command line into words and operators
+ */
+export class Lexer {
+    /**
+     * Token types
+     */
+    static WORD = 'word';
+    static OPERATOR = 'operator';
+
+    /**
+     * Operators recognised outside of quotes, longest first. Operators that
+     * start with a file descriptor number only count at the start of a word.
+     */
+    static OPERATORS = ['2>&1', '1>&2', '2>>', '&&', '||', '&>', '>&2', '>>', '2>', '>', '<<<', '<<-', '<<', '<', '|', ';;', ';', '&', '(', ')'];
+
+    /**
+     * Operators whose next word is a here-document delimiter
+     */
+    static HEREDOC_OPERATORS = ['<<', '<<-'];
+
+    /**
+     * Create a new lexer
+     * @param {string} input - Command line to tokenize
+     */
+    constructor(input) {
+        this.input = input;
+        this.position = 0;
+        this._heredocOperator = null;
+        this._pendingHeredocs = [];
+    }
+
+    /**
+     * Tokenize the whole input
+     * @returns {Array<{type: string, value: string, position: number}>} Tokens
+     * @throws {ParserError} On unterminated quotes
+     * @throws {IncompleteInputError} If a here-document has not been closed
+     */
+    tokenize() {
+        const tokens = [];
+        let token;
+
+        while ((token = this.next()) !== null) {
+            tokens.push(token);
+        }
+
+        if (this._pendingHeredocs.length > 0) {
+            const [{ heredoc, position }] = this._pendingHeredocs;
+            throw new IncompleteInputError(`here-document delimited by \`${heredoc.delimiter}' is not closed`, position, this.input, heredoc.delimiter,
+                `end the here-document with a line containing only \`${heredoc.delimiter}'`);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Read the next token. A newline is returned as an operator, after
+     * reading the bodies of any here-documents started on that line.
+     * @returns {Object|null} Next token or null at end of input
+     */
+    next() {
+        this._skipWhitespace();
+        if (this.position >= this.input.length) {
+            return null;
+        }
+
+        const start = this.position;
+
+        if (this.input[start] === '\n') {
+            this.position++;
+            this._readHeredocBodies();
+            return { type: Lexer.OPERATOR, value: '\n', position: start };
+        }
+
+        const operator = this._matchOperator();
+        if (operator) {
+            this.position += operator.length;
+            this._heredocOperator = Lexer.HEREDOC_OPERATORS.includes(operator) ? operator : null;
+            return { type: Lexer.OPERATOR, value: operator, position: start };
+        }
+
+        const token = { type: Lexer.WORD, value: this._readWord(), position: start };
+
+        if (this._heredocOperator) {
+            token.heredoc = {
+                delimiter: token.value.replace(/['"\\]/g, ''),
+                quoted: /['"\\]/.test(token.value),
+                stripTabs: this._heredocOperator === '<<-',
+                body: ''
+            };
+            this._pendingHeredocs.push(token);
+            this._heredocOperator = null;
+        }
+
+        return token;
+    }
+
+    /**
+     * Skip blanks, escaped newlines and comments between tokens. Newlines
+     * are tokens of their own, so a comment ends just before one.
+     * @private
+     */
+    _skipWhitespace() {
+        while (this.position < this.input.length) {
+            if (/[^\S\n]/.test(this.input[this.position])) {
+                this.position++;
+            } else if (this.input.startsWith('\\\n', this.position)) {
+                this.position += 2;
+            } else if (this.input[this.position] === '#') {
+                const newline = this.input.indexOf('\n', this.position);
+                this.position = newline === -1 ? this.input.length : newline;
+            } else {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Read the lines following a newline into the pending here-documents,
+     * each up to the line holding only its delimiter
+     * @throws {IncompleteInputError} If the input ends before a delimiter
+     * @private
+     */
+    _readHeredocBodies() {
+        while (this._pendingHeredocs.length > 0) {
+            const { heredoc } = this._pendingHeredocs[0];
+
+            while (true) {
+                if (this.position >= this.input.length) {
+                    return;
+                }
+
+                const newline = this.input.indexOf('\n', this.position);
+                const end = newline === -1 ? this.input.length : newline;
+                let line = this.input.slice(this.position, end);
+                this.position = newline === -1 ? end : end + 1;
+
+                if (heredoc.stripTabs) {
+                    line = line.replace(/^\t+/, '');
+                }
+                if (line === heredoc.delimiter) {
+                    break;
+                }
+
+                heredoc.body += `${line}\n`;
+            }
+
+            this._pendingHeredocs.shift();
+        }
+    }
+
+    /**
+     * Match an operator at the current position
+     * @param {boolean} atWordStart - Whether a new word would start here
+     * @returns {string|null} Matched operator
+     * @private
+     */
+    _matchOperator(atWordStart = true) {
+        for (const operator of Lexer.OPERATORS) {
+            if (!atWordStart && /^\d/.test(operator)) {
+                continue;
+            }
+            if (this.input.startsWith(operator, this.position)) {
+                return operator;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Read a word, keeping quotes and escapes intact for later stages
+     * @returns {string} Raw word text
+     * @private
+     */
+    _readWord() {
+        const start = this.position;
+
+        while (this.position < this.input.length) {
+            const char = this.input[this.position];
+
+            if (/\s/.test(char) || this._matchOperator(this.position === start)) {
+                break;
+            }
+
+            if (char === '\\') {
+                if (this.position + 1 >= this.input.length) {
+                    throw new IncompleteInputError('Line continues after a trailing backslash', this.position, this.input, null,
+                        "a trailing `\\' continues the command on the next line");
+                }
+                this.position += 2;
+            } else if (char === '"' || char === "'") {
+                this._skipQuoted(char);
+            } else if (char === '`' || this._atExpansion()) {
+                this._skipExpansion();
+            } else {
+                this.position++;
+            }
+        }
+
+        return this.input.slice(start, this.position);
+    }
+
+    /**
+     * Find where a quoted string, `$(...)`, `${...}` or backquoted region ends
+     * @param {string} input - Text containing the region
+     * @param {number} start - Index of the opening quote, backquote or `$`
+     * @returns {number} Index just after the region
+     * @throws {ParserError} If the region is never closed
+     */
+    static regionEnd(input, start) {
+        const lexer = new Lexer(input);
+        lexer.position = start;
+
+        if (input[start] === '"' || input[start] === "'") {
+            lexer._skipQuoted(input[start]);
+        } else {
+            lexer._skipExpansion();
+        }
+        return lexer.position;
+    }
+
+    /**
+     * Check whether a `$(` or `${` starts at the current position
+     * @returns {boolean} True at the start of a nested expansion
+     * @private
+     */
+    _atExpansion() {
+        return this.input[this.position] === '$' && '({'.includes(this.input[this.position + 1] || ' ');
+    }
+
+    /**
+     * Skip over a command substitution or braced parameter, which may
+     * contain quotes, operators and further nesting
+     * @throws {ParserError} If the region is never closed
+     * @private
+     */
+    _skipExpansion() {
+        const start = this.position;
+
+        if (this.input[start] === '`') {
+            this.position++;
+            while (this.position < this.input.length && this.input[this.position] !== '`') {
+                this.position += this.input[this.position] === '\\' ? 2 : 1;
+            }
+            if (this.position >= this.input.length) {
+                throw new IncompleteInputError('Unterminated backquote', start, this.input, null, 'the ` opened here is never closed');
+            }
+            this.position++;
+            return;
+        }
+
+        const [open, close] = this.input[start + 1] === '(' ? ['(', ')'] : ['{', '}'];
+        let depth = 0;
+        this.position++;
+
+        while (this.position < this.input.length) {
+            const char = this.input[this.position];
+
+            if (char === '\\') {
+                this.position += 2;
+            } else if (char === '"' || char === "'") {
+                this._skipQuoted(char);
+            } else if (char === '`' || this._atExpansion()) {
+                this._skipExpansion();
+            } else {
+                this.position++;
+                if (char === open) {
+                    depth++;
+                } else if (char === close && --depth === 0) {
+                    return;
+                }
+            }
+        }
+
+        const what = open === '(' ? 'command substitution' : 'parameter expansion';
+        throw new IncompleteInputError(`Unterminated ${what}`, start, this.input, null, `the \`$${open}' opened here has no matching \`${close}'`);
+    }
+
+    /**
+     * Skip over a quoted region
+     * @param {string} quote - Opening quote character
+     * @throws {ParserError} If the quote is never closed
+     * @private
+     */
+    _skipQuoted(quote) {
+        const start = this.position++;
+
+        while (this.position < this.input.length) {
+            const char = this.input[this.position];
+
+            if (char === quote) {
+                this.position++;
+                return;
+            }
+
+            // Expansions and backslash escapes only apply inside double quotes
+            if (quote === '"' && (char === '`' || this._atExpansion())) {
+                this._skipExpansion();
+            } else {
+                this.position += (char === '\\' && quote === '"') ? 2 : 1;
+            }
+        }
+
+        throw new IncompleteInputError(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`, start, this.input, null, `the ${quote} opened here is never closed`);
+    }
+}
+
+/**
+ * Builds a syntax tree of command lists, pipelines and commands from a command line
+ */
+export class SyntaxParser {
+    /**
+     * Redirection operators and the redirects they produce
+     */
+    static REDIRECTIONS = {
+        '<': [{ fd: 0, mode: 'read' }],
+        '>': [{ fd: 1, mode: 'write' }],
+        '>>': [{ fd: 1, mode: 'append' }],
+        '2>': [{ fd: 2, mode: 'write' }],
+        '2>>': [{ fd: 2, mode: 'append' }],
+        '2>&1': [{ fd: 2, mode: 'duplicate', source: 1 }],
+        '1>&2': [{ fd: 1, mode: 'duplicate', source: 2 }],
+        '>&2': [{ fd: 1, mode: 'duplicate', source: 2 }],
+        '&>': [{ fd: 1, mode: 'write' }, { fd: 2, mode: 'duplicate', source: 1 }],
+        '<<': [{ fd: 0, mode: 'heredoc' }],
+        '<<-': [{ fd: 0, mode: 'heredoc' }],
+        '<<<': [{ fd: 0, mode: 'herestring' }]
+    };
+
+    /**
+     * Create a new syntax parser
+     * @param {string} input - Command line to parse
+     * @param {Object} [options] - Parser options
+     * @param {{get: Function}} [options.aliases] - Alias table used to expand command names
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.tokens = new Lexer(input).tokenize();
+        this.index = 0;
+        this.aliases = options.aliases || null;
+        // Words opening the compound commands being parsed, innermost last
+        this._open = [];
+    }
+
+    /**
+     * Operators that join pipelines into a command list
+     */
+    static LIST_OPERATORS = [';', '\n', '&', '&&', '||'];
+
+    /**
+     * Words that are only special as the first word of a command
+     */
+    static RESERVED_WORDS = ['if', 'then', 'elif', 'else', 'fi', 'for', 'do', 'done', 'while', 'until', 'case', 'esac', 'function', '{', '}'];
+
+    /**
+     * Reserved words that start a compound command
+     */
+    static COMPOUND_WORDS = ['if', 'for', 'while', 'until', 'case', '{'];
+
+    /**
+     * Reserved words that may follow each word that opens a compound
+     * command, ending with the word that closes it
+     */
+    static COMPOUND_PARTS = {
+        'if': ['then', 'elif', 'else', 'fi'],
+        'for': ['do', 'done'],
+        'while': ['do', 'done'],
+        'until': ['do', 'done'],
+        'case': ['in', 'esac'],
+        '{': ['}']
+    };
+
+    /**
+     * Parse the command line
+     * @returns {Object|null} List node, or null for an empty line
+     * @throws {ParserError} On syntax errors
+     */
+    parse() {
+        this._skipNewlines();
+
+        if (this.index >= this.tokens.length) {
+            return null;
+        }
+
+        const node = this._parseList();
+
+        if (this.index < this.tokens.length) {
+            this._unexpected(this.tokens[this.index]);
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse pipelines joined by `;`, `&`, `&&` and `||`. Each item records
+     * the operator that precedes it, so `a && b || c` runs left to right.
+     * The `&&`/`||` chain before a `&` becomes a single background item.
+     * @param {Array<string>} [terminators] - Words, such as `fi`, that end the list after a `;`, `&` or newline
+     * @returns {Object} List node
+     * @private
+     */
+    _parseList(terminators = []) {
+        const position = this._peek().position;
+        const items = [{ operator: null, node: this._parsePipeline() }];
+        let chain = 0;
+
+        while (this._peekListOperator()) {
+            const token = this.tokens[this.index++];
+            let operator = token.value;
+
+            if (operator === '&') {
+                this._background(items, chain, token);
+            }
+            this._skipNewlines();
+
+            // A trailing `;`, `&` or newline simply ends the list
+            if (['&', ';', '\n'].includes(operator) && (this.index >= this.tokens.length || this._atTerminator(terminators))) {
+                break;
+            }
+            this._expectMore(token);
+
+            // Lines, and the command after a `&`, are sequenced just like `;`
+            if (operator === '\n' || operator === '&') {
+                operator = ';';
+            }
+            if (operator === ';') {
+                chain = items.length;
+            }
+
+            items.push({ operator, node: this._parsePipeline() });
+        }
+
+        return { type: 'list', items, position };
+    }
+
+    /**
+     * Replace the `&&`/`||` chain ending at a `&` with a background node,
+     * which keeps the source text of the chain for the job table
+     * @param {Array<Object>} items - List items parsed so far
+     * @param {number} start - Index of the first item of the chain
+     * @param {Object} operator - The `&` token
+     * @private
+     */
+    _background(items, start, operator) {
+        const chain = items.splice(start);
+        const position = chain[0].node.position;
+
+        items.push({
+            operator: chain[0].operator,
+            node: {
+                type: 'background',
+                body: { type: 'list', items: [{ ...chain[0], operator: null }, ...chain.slice(1)], position },
+                source: this.input.slice(position, operator.position).trim(),
+                position
+            }
+        });
+    }
+
+    /**
+     * Parse commands joined by `|`
+     * @returns {Object} Pipeline node
+     * @private
+     */
+    _parsePipeline() {
+        const position = this._peek()?.position ?? this.input.length;
+        const commands = [this._parseCommand()];
+
+        while (this._peekOperator('|')) {
+            const pipe = this.tokens[this.index++];
+            this._skipNewlines();
+            this._expectMore(pipe);
+            commands.push(this._parseCommand());
+        }
+
+        return { type: 'pipeline', commands, position };
+    }
+
+    /**
+     * Parse a simple command with its redirections, a compound command
+     * when the first word is a reserved word, or a function definition
+     * @returns {Object} Command node
+     * @private
+     */
+    _parseCommand() {
+        const position = this._peek()?.position ?? this.input.length;
+        const words = [];
+        const redirects = [];
+
+        while (this.index < this.tokens.length) {
+            const token = this._peek();
+
+            if (token.type === Lexer.WORD) {
+                if (words.length === 0 && redirects.length === 0) {
+                    if (SyntaxParser.RESERVED_WORDS.includes(token.value)) {
+                        return this._parseCompound(token);
+                    }
+                    if (this._peekOperator('(', 1)) {
+                        return this._parseFunction(token);
+                    }
+                }
+                if ((words.length === 0 || token.aliasCandidate) && this._expandAlias(token)) {
+                    continue;
+                }
+                words.push(token);
+                this.index++;
+            } else if (this._peekRedirect()) {
+                redirects.push(...this._parseRedirect());
+            } else {
+                break;
+            }
+        }
+
+        if (words.length === 0 && redirects.length === 0) {
+            this._unexpected(this._peek());
+        }
+
+        return { type: 'command', words, redirects, position };
+    }
+
+    /**
+     * Parse an `if`, `for`, `while`, `until`, `case` or `{ ... }` command,
+     * followed by any redirections that apply to the whole command, or a
+     * function definition starting with `function`
+     * @param {Object} token - Reserved word that starts the command
+     * @returns {Object} Compound command node
+     * @throws {ParserError} If the word cannot start a command, such as `fi`
+     * @private
+     */
+    _parseCompound(token) {
+        if (token.value === 'function') {
+            this.index++;
+            return this._parseFunction(this._expectWordToken(), true);
+        }
+
+        this.index++;
+        if (Object.hasOwn(SyntaxParser.COMPOUND_PARTS, token.value)) {
+            this._open.push(token);
+        }
+        let node;
+
+        switch (token.value) {
+            case '{':
+                node = this._parseGroup();
+                break;
+            case 'if':
+                node = this._parseIf();
+                break;
+            case 'for':
+                node = this._parseFor();
+                break;
+            case 'while':
+            case 'until':
+                node = this._parseWhile(token.value === 'until');
+                break;
+            case 'case':
+                node = this._parseCase();
+                break;
+            default:
+                this._unexpected(token);
+        }
+
+        this._open.pop();
+        node.redirects = [];
+        node.position = token.position;
+
+        while (this._peekRedirect()) {
+            node.redirects.push(...this._parseRedirect());
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse a function definition, `NAME() BODY` or `function NAME [()] BODY`,
+     * where BODY is a compound command such as `{ ...; }`. The source text of
+     * the body is kept so the definition can be shown again.
+     * @param {Object} name - Token holding the function name
+     * @param {boolean} [keyword=false] - Whether the `function` keyword was used, making `()` optional
+     * @returns {Object} Function node
+     * @throws {ParserError} If the name is not valid or the body is not a compound command
+     * @private
+     */
+    _parseFunction(name, keyword = false) {
+        if (!keyword) {
+            this.index++;
+        }
+        if (!keyword || this._peekOperator('(')) {
+            this._expectOperator('(');
+            this._expectOperator(')');
+        }
+
+        if (!SyntaxParser.isFunctionName(name.value)) {
+            throw new ParserError(`\`${name.value}': not a valid identifier`, name.position, this.input);
+        }
+
+        this._skipNewlines();
+        const start = this._peek() ?? this._endOfInput();
+        if (start.type !== Lexer.WORD || !SyntaxParser.COMPOUND_WORDS.includes(start.value)) {
+            this._unexpected(start);
+        }
+
+        const body = this._parseCompound(start);
+        const end = this.tokens[this.index - 1];
+        const source = this.input.slice(start.position, end.position + end.value.length);
+
+        return { type: 'function', name: name.value, body, source, redirects: [], position: name.position };
+    }
+
+    /**
+     * Check whether a word can name a function
+     * @param {string} name - Word to check
+     * @returns {boolean} True if valid
+     */
+    static isFunctionName(name) {
+        return /^[^\s$`'"\\=|&;<>(){}]+$/.test(name) && !/^\d+$/.test(name)
+            && !SyntaxParser.RESERVED_WORDS.includes(name);
+    }
+
+    /**
+     * Parse `{ LIST; }`, which runs the list in the current shell
+     * @returns {Object} Group node
+     * @private
+     */
+    _parseGroup() {
+        const body = this._parseCompoundList(['}']);
+        this._expectWord('}');
+        return { type: 'group', body };
+    }
+
+    /**
+     * Parse `if LIST; then LIST; [elif LIST; then LIST;]... [else LIST;] fi`
+     * @returns {Object} If node
+     * @private
+     */
+    _parseIf() {
+        const clauses = [];
+        let elseBody = null;
+
+        do {
+            const condition = this._parseCompoundList(['then']);
+            this._expectWord('then');
+            clauses.push({ condition, body: this._parseCompoundList(['elif', 'else', 'fi']) });
+        } while (this._acceptWord('elif'));
+
+        if (this._acceptWord('else')) {
+            elseBody = this._parseCompoundList(['fi']);
+        }
+        this._expectWord('fi');
+
+        return { type: 'if', clauses, elseBody };
+    }
+
+    /**
+     * Parse `for NAME [in WORDS...]; do LIST; done`. Without `in`, the loop
+     * runs over the positional parameters.
+     * @returns {Object} For node
+     * @throws {ParserError} If NAME is not a valid variable name
+     * @private
+     */
+    _parseFor() {
+        const name = this._expectWordToken();
+        if (!/^[A-Za-z_]\w*$/.test(name.value)) {
+            throw new ParserError(`\`${name.value}': not a valid identifier`, name.position, this.input);
+        }
+
+        let words = null;
+        this._skipNewlines();
+
+        if (this._acceptWord('in')) {
+            words = [];
+            while (this._peek()?.type === Lexer.WORD) {
+                words.push(this.tokens[this.index++]);
+            }
+        }
+
+        if (this._peekOperator(';')) {
+            this.index++;
+        }
+        this._skipNewlines();
+        this._expectWord('do');
+
+        const body = this._parseCompoundList(['done']);
+        this._expectWord('done');
+
+        return { type: 'for', name: name.value, words, body };
+    }
+
+    /**
+     * Parse `while LIST; do LIST; done` or the `until` form
+     * @param {boolean} until - Whether the loop runs until the condition succeeds
+     * @returns {Object} While node
+     * @private
+     */
+    _parseWhile(until) {
+        const condition = this._parseCompoundList(['do']);
+        this._expectWord('do');
+
+        const body = this._parseCompoundList(['done']);
+        this._expectWord('done');
+
+        return { type: 'while', until, condition, body };
+    }
+
+    /**
+     * Parse `case WORD in [(]PATTERN[|PATTERN]...) LIST ;; ... esac`. The
+     * `;;` after the last clause may be left out.
+     * @returns {Object} Case node
+     * @private
+     */
+    _parseCase() {
+        const word = this._expectWordToken();
+        const clauses = [];
+
+        this._skipNewlines();
+        this._expectWord('in');
+        this._skipNewlines();
+
+        while (!this._atTerminator(['esac'])) {
+            if (this._peekOperator('(')) {
+                this.index++;
+            }
+
+            const patterns = [this._expectWordToken()];
+            while (this._peekOperator('|')) {
+                this.index++;
+                patterns.push(this._expectWordToken());
+            }
+            this._expectOperator(')');
+            this._skipNewlines();
+
+            const body = this._atTerminator([';;', 'esac']) ? null : this._parseCompoundList([';;', 'esac']);
+            clauses.push({ patterns, body });
+
+            if (!this._peekOperator(';;')) {
+                break;
+            }
+            this.index++;
+            this._skipNewlines();
+        }
+        this._expectWord('esac');
+
+        return { type: 'case', word, clauses };
+    }
+
+    /**
+     * Parse the list inside a compound command, which may start on a new line
+     * @param {Array<string>} terminators - Words that end the list
+     * @returns {Object} List node
+     * @throws {IncompleteInputError} If the input ends first
+     * @private
+     */
+    _parseCompoundList(terminators) {
+        this._skipNewlines();
+        if (this.index >= this.tokens.length) {
+            this._endOfInput(terminators.at(-1));
+        }
+        return this._parseList(terminators);
+    }
+
+    /**
+     * Replace a command name that is an alias with the tokens of its value.
+     * The result is checked again, but an alias is never expanded inside its
+     * own expansion. A value ending in a blank makes the following word a
+     * candidate for expansion too.
+     * @param {Object} token - Word token in command position
+     * @returns {boolean} True if the word was replaced
+     * @private
+     */
+    _expandAlias(token) {
+        const value = this.aliases?.get(token.value);
+        if (value === undefined || token.expandedAliases?.has(token.value)) {
+            return false;
+        }
+
+        const expandedAliases = new Set(token.expandedAliases).add(token.value);
+        const tokens = new Lexer(value).tokenize()
+            .map(aliasToken => ({ ...aliasToken, position: token.position, expandedAliases }));
+
+        this.tokens.splice(this.index, 1, ...tokens);
+
+        const next = this.tokens[this.index + tokens.length];
+        if (/\s$/.test(value) && next?.type === Lexer.WORD) {
+            next.aliasCandidate = true;
+        }
+
+        return true;
+    }
+
+    /**
+     * Parse a redirection operator and its target
+     * @returns {Array<Object>} Redirect nodes
+     * @private
+     */
+    _parseRedirect() {
+        const operator = this.tokens[this.index++];
+        const redirects = SyntaxParser.REDIRECTIONS[operator.value];
+        let target = null;
+
+        if (redirects.some(redirect => redirect.mode !== 'duplicate')) {
+            target = this._peek();
+            if (target?.type !== Lexer.WORD) {
+                this._unexpected(target);
+            }
+            this.index++;
+        }
+
+        return redirects.map(redirect => ({
+            type: 'redirect',
+            ...redirect,
+            target,
+            ...(target?.heredoc && { body: target.heredoc.body, expand: !target.heredoc.quoted }),
+            position: operator.position
+        }));
+    }
+
+    /**
+     * Ask for more input when the line ends right after an operator that
+     * needs a command to follow it
+     * @param {Object} operator - Operator token just consumed
+     * @throws {IncompleteInputError} At the end of the input
+     * @private
+     */
+    _expectMore(operator) {
+        if (this.index >= this.tokens.length) {
+            throw new IncompleteInputError(`Command expected after \`${operator.value}'`, this.input.length, this.input, null,
+                `\`${operator.value}' must be followed by a command`);
+        }
+    }
+
+    /**
+     * Consume a reserved word, which must come next
+     * @param {string} word - Expected word
+     * @throws {ParserError} If another token comes next
+     * @throws {IncompleteInputError} If the input ends first
+     * @private
+     */
+    _expectWord(word) {
+        if (!this._acceptWord(word)) {
+            this._unexpected(this._peek() ?? this._endOfInput(word));
+        }
+    }
+
+    /**
+     * Consume an operator, which must come next
+     * @param {string} operator - Expected operator
+     * @throws {ParserError} If another token comes next
+     * @throws {IncompleteInputError} If the input ends first
+     * @private
+     */
+    _expectOperator(operator) {
+        if (!this._peekOperator(operator)) {
+            this._unexpected(this._peek() ?? this._endOfInput(operator));
+        }
+        this.index++;
+    }
+
+    /**
+     * Consume any word, which must come next
+     * @returns {Object} Word token
+     * @throws {ParserError} If an operator comes next
+     * @throws {IncompleteInputError} If the input ends first
+     * @private
+     */
+    _expectWordToken() {
+        const token = this._peek() ?? this._endOfInput();
+        if (token.type !== Lexer.WORD) {
+            this._unexpected(token);
+        }
+        this.index++;
+        return token;
+    }
+
+    /**
+     * Consume a reserved word if it comes next
+     * @param {string} word - Word to look for
+     * @returns {boolean} True if it was consumed
+     * @private
+     */
+    _acceptWord(word) {
+        const token = this._peek();
+        if (token?.type !== Lexer.WORD || token.value !== word) {
+            return false;
+        }
+        this.index++;
+        return true;
+    }
+
+    /**
+     * Ask for more input when a compound command is still open
+     * @param {string} [expected] - Word or operator that should come next,
+     *     the word closing the innermost compound command by default
+     * @throws {IncompleteInputError} Always
+     * @private
+     */
+    _endOfInput(expected) {
+        const open = this._open.at(-1);
+        const hint = open ? this._expectedHint(open, expected) : null;
+        throw new IncompleteInputError('syntax error: unexpected end of file', this.input.length, this.input, null, hint);
+    }
+
+    /**
+     * Hint naming what an open compound command is missing
+     * @param {Object} open - Token that opened the compound command
+     * @param {string} [expected] - Word that should come next, the word closing it by default
+     * @returns {string} Hint
+     * @private
+     */
+    _expectedHint(open, expected) {
+        const line = this.input.slice(0, open.position).split('\n').length;
+        return `expected \`${expected ?? SyntaxParser.COMPOUND_PARTS[open.value].at(-1)}' for the \`${open.value}' on line ${line}`;
+    }
+
+    /**
+     * Skip over newline tokens
+     * @private
+     */
+    _skipNewlines() {
+        while (this._peekOperator('\n')) {
+            this.index++;
+        }
+    }
+
+    /**
+     * Look at the current token
+     * @returns {Object|undefined} Current token
+     * @private
+     */
+    _peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Check whether the current token joins pipelines into a list
+     * @returns {boolean} True if it is a list operator
+     * @private
+     */
+    _peekListOperator() {
+        const token = this._peek();
+        return token?.type === Lexer.OPERATOR && SyntaxParser.LIST_OPERATORS.includes(token.value);
+    }
+
+    /**
+     * Check whether the current token is a redirection operator
+     * @returns {boolean} True if it is
+     * @private
+     */
+    _peekRedirect() {
+        const token = this._peek();
+        return token?.type === Lexer.OPERATOR && Object.hasOwn(SyntaxParser.REDIRECTIONS, token.value);
+    }
+
+    /**
+     * Check whether the current token is one of the words or operators
+     * that close the list being parsed
+     * @param {Array<string>} terminators - Closing words or operators
+     * @returns {boolean} True if it is
+     * @private
+     */
+    _atTerminator(terminators) {
+        const token = this._peek();
+        return !!token && terminators.includes(token.value);
+    }
+
+    /**
+     * Check whether the current token, or one after it, is the given operator
+     * @param {string} operator - Operator to check for
+     * @param {number} [offset=0] - How many tokens ahead to look
+     * @returns {boolean} True if it matches
+     * @private
+     */
+    _peekOperator(operator, offset = 0) {
+        const token = this.tokens[this.index + offset];
+        return token?.type === Lexer.OPERATOR && token.value === operator;
+    }
+
+    /**
+     * Throw a syntax error for an unexpected token
+     * @param {Object|undefined} token - Offending token
+     * @throws {ParserError}
+     * @private
+     */
+    _unexpected(token) {
+        if (!token) {
+            throw new ParserError("syntax error near unexpected token `newline'", this.input.length, this.input, this._hint(token));
+        }
+        const value = token.value === '\n' ? 'newline' : token.value;
+        throw new ParserError(`syntax error near unexpected token \`${value}'`, token.position, this.input, this._hint(token));
+    }
+
+    /**
+     * Suggest what may be wrong when a token is not expected: a redirection
+     * without a file, an operator without a command before it, or a
+     * reserved word out of place
+     * @param {Object|undefined} token - Offending token, or undefined at the end of the input
+     * @returns {string|null} Hint, or null
+     * @private
+     */
+    _hint(token) {
+        const previous = this.tokens[(token ? this.tokens.indexOf(token) : this.tokens.length) - 1];
+        const quote = word => `\`${word}'`;
+
+        const redirects = previous?.type === Lexer.OPERATOR ? SyntaxParser.REDIRECTIONS[previous.value] : null;
+
+        if (redirects?.some(redirect => redirect.mode !== 'duplicate')) {
+            return `${quote(previous.value)} must be followed by a file name`;
+        }
+        if (!token) {
+            return null;
+        }
+        if (token.type === Lexer.OPERATOR) {
+            if (token.value === ';;') return `${quote(';;')} only ends a clause of a ${quote('case')} command`;
+            if (token.value === ')') return `${quote(')')} has no matching ${quote('(')}`;
+            return token.value === '\n' ? null : `${quote(token.value)} must follow a command`;
+        }
+
+        const parts = SyntaxParser.COMPOUND_PARTS;
+        const innermost = this._open.at(-1);
+        if (innermost && parts[innermost.value].includes(token.value)) {
+            return `a command must come before ${quote(token.value)}`;
+        }
+        const openers = Object.keys(parts).filter(opener => parts[opener].includes(token.value)).map(quote);
+        if (openers.length === 0) {
+            return null;
+        }
+        // A word of another compound command, inside one that is not closed yet
+        if (innermost) {
+            return this._expectedHint(innermost);
+        }
+        return `${quote(token.value)} has no matching ${openers.length > 1 ? `${openers.slice(0, -1).join(', ')} or ${openers.at(-1)}` : openers[0]}`;
+    }
+}
+
+/**
+ * Command line parser for a single command's arguments. Options are parsed
+ * the way POSIX getopt and GNU getopt_long do: short flags can be grouped
+ * (`-la`), `--` ends the options, and a flag only takes a value when the
+ * option spec says it does, as in `-n 5`, `-n5`, `--lines 5` or
+ * `--lines=5`. Parsed flags are set on the parser itself, and the
+ * remaining arguments are in `_`.
  */
 export class Parser {
     /**
      * Pre-compiled regex patterns for better performance
      */
     static PATTERNS = {
-        WHITESPACE_CLEANUP: /\s{2,}/g,
-        TABS_NEWLINES: /\t|\n/g,
-        STRING_TOKENIZE: /[^\s"']+|"([^"]*)"|'([^']*)'/g,
-        SINGLE_FLAG: /^-[^-]/,
-        FLAG_MATCHER: /^-/,
-        VERBOSE_FLAG_EQUALS: /^--.*=$/,
-        VERBOSE_FLAG_NAME_EQUALS: /--(.*)=/,
-        VERBOSE_FLAG_VALUE_EQUALS: /^--.*=.*$/,
-        VERBOSE_FLAG_NAME_CAPTURE: /--(.*)=/,
-        VERBOSE_FLAG_VALUE_CAPTURE: /=(.*)/,
-        VERBOSE_FLAG: /^--/,
-        ANY_FLAG: /^-/
+        WHITESPACE: /\s/,
+        SHORT_FLAGS: /^-[^-]/,
+        LONG_FLAG: /^--([^=]+)(?:=([\s\S]*))?$/
     };
 
+    /**
+     * Characters a backslash escapes inside double quotes
+     */
+    static DOUBLE_QUOTE_ESCAPES = '"\\$`\n';
+
     /**
      * Create a new parser instance
      * @param {string} command - Command string to parse
+     * @param {Object} [spec] - Option spec
+     * @param {Array<string>} [spec.values] - Names of the flags that take a value, such as `['n', 'lines']`
+     * @param {Array<string>} [spec.repeatable] - Names of the flags that may be repeated: a
+     *     repeated flag counts how often it was given, or collects its values in an array
+     * @param {Object<string, string>} [spec.aliases] - Other names of flags, such as
+     *     `{ n: 'lines' }`; the parsed value is set under both names
      * @throws {ParserError} When command is invalid
      */
-    constructor(command) {
+    constructor(command, spec = {}) {
         if (!command?.length) {
             throw new ParserError('Command provided is empty', 0, command || '');
         }
@@ -57,14 +1160,13 @@ export class Parser {
         this.raw = command;
         
         try {
-            const cleanCommand = this._cleanCommand(command);
-            const argv = this._stringToArray(cleanCommand);
+            const argv = this._stringToArray(command);
             
             this.command = argv[0];
             this._ = [];
 
             if (argv.length > 1) {
-                Object.assign(this, this._parseIterative(argv.slice(1)));
+                Object.assign(this, this._parseIterative(argv.slice(1), spec));
             }
         } catch (error) {
             if (error instanceof ParserError) {
@@ -75,140 +1177,183 @@ export class Parser {
     }
 
     /**
-     * Clean and normalize command string
-     * @param {string} command - Raw command string
-     * @returns {string} Cleaned command string
-     * @private
+     * Create a parser from arguments that have already been split and
+     * expanded by the shell, so no further tokenizing or unquoting happens
+     * @param {Array<string>} argv - Command name followed by its arguments
+     * @param {Object} [spec] - Option spec, as for the constructor
+     * @returns {Parser} Parser instance
+     * @throws {ParserError} When argv is empty, or a flag is missing its value
      */
-    _cleanCommand(command) {
-        return command
-            .replace(Parser.PATTERNS.WHITESPACE_CLEANUP, ' ')
-            .replace(Parser.PATTERNS.TABS_NEWLINES, ' ')
-            .trim();
+    static fromArgv(argv, spec = {}) {
+        if (!argv?.length) {
+            throw new ParserError('Command provided is empty', 0, '');
+        }
+
+        const parser = Object.create(Parser.prototype);
+        parser.raw = argv.join(' ');
+        parser.command = argv[0];
+        parser._ = [];
+
+        if (argv.length > 1) {
+            Object.assign(parser, parser._parseIterative(argv.slice(1), spec));
+        }
+
+        return parser;
     }
 
     /**
-     * Split command string into arguments array, preserving quoted strings
+     * Split a command string into words the way the shell does: words are
+     * separated by unquoted whitespace, a backslash escapes the next
+     * character, and quoted and unquoted parts of a word are joined, so
+     * `foo"bar"'baz'` is the single word `foobarbaz`. An unclosed quote
+     * runs to the end of the string.
      * @param {string} string - Command string to tokenize
      * @returns {Array<string>} Array of arguments
      * @private
      */
     _stringToArray(string) {
-        const matches = string.match(Parser.PATTERNS.STRING_TOKENIZE);
-        return matches || [];
+        const words = [];
+        let word = null;
+        let quote = null;
+
+        for (let i = 0; i < string.length; i++) {
+            const char = string[i];
+
+            if (quote === "'") {
+                if (char === "'") quote = null;
+                else word += char;
+                continue;
+            }
+            if (quote === '"') {
+                if (char === '"') {
+                    quote = null;
+                } else if (char === '\\' && Parser.DOUBLE_QUOTE_ESCAPES.includes(string[i + 1])) {
+                    // An escaped newline joins the lines
+                    if (string[++i] !== '\n') word += string[i];
+                } else {
+                    word += char;
+                }
+                continue;
+            }
+
+            if (Parser.PATTERNS.WHITESPACE.test(char)) {
+                if (word !== null) words.push(word);
+                word = null;
+                continue;
+            }
+
+            word ??= '';
+            if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '\\' && i + 1 < string.length) {
+                if (string[++i] !== '\n') word += string[i];
+            } else {
+                word += char;
+            }
+        }
+
+        if (word !== null) words.push(word);
+        return words;
     }
 
     /**
-     * Parse arguments array iteratively (more efficient than recursive)
+     * Parse arguments into flags and positional arguments
      * @param {Array<string>} options - Arguments to parse
-     * @returns {Object} Parsed options object
+     * @param {Object} [spec] - Option spec, as for the constructor
+     * @returns {Object} Parsed flags
+     * @throws {ParserError} When a flag that takes a value is the last argument
      * @private
      */
-    _parseIterative(options) {
+    _parseIterative(options, spec = {}) {
         const parsed = {};
+        const key = name => spec.aliases?.[name] ?? name;
+        const takesValue = name => spec.values?.includes(key(name)) ?? false;
+        const missingValue = flag => new ParserError(`option requires an argument -- '${flag}'`, 0, this.raw);
+        const set = (name, value) => {
+            const flag = key(name);
+            if (!spec.repeatable?.includes(flag)) {
+                parsed[flag] = value;
+            } else if (value === true) {
+                parsed[flag] = (parsed[flag] ?? 0) + 1;
+            } else {
+                parsed[flag] = [...(parsed[flag] ?? []), value];
+            }
+        };
         let i = 0;
 
         while (i < options.length) {
-            const current = options[i];
-            
-            // Handle single character flags (-f, -v, etc.)
-            if (Parser.PATTERNS.SINGLE_FLAG.test(current)) {
-                const optionName = current.slice(1);
-                const next = options[i + 1];
-                
-                if (!next || Parser.PATTERNS.FLAG_MATCHER.test(next)) {
-                    parsed[optionName] = true;
-                    i++;
-                } else {
-                    parsed[optionName] = this._cleanQuotes(next);
-                    i += 2;
-                }
-                continue;
+            const current = options[i++];
+
+            // Everything after -- is an argument
+            if (current === '--') {
+                this._.push(...options.slice(i));
+                break;
             }
 
-            // Handle verbose flags with separate value (--flag="value")
-            if (Parser.PATTERNS.VERBOSE_FLAG_EQUALS.test(current)) {
-                const match = current.match(Parser.PATTERNS.VERBOSE_FLAG_NAME_EQUALS);
-                if (match) {
-                    const optionName = match[1];
-                    const value = options[i + 1];
-                    parsed[optionName] = value ? this._cleanQuotes(value) : '';
-                    i += 2;
+            // Long flags (--flag, --flag=value, or --flag value if it takes one)
+            const long = current.match(Parser.PATTERNS.LONG_FLAG);
+            if (long) {
+                const [, name, value] = long;
+                if (value !== undefined) {
+                    set(name, value);
+                } else if (takesValue(name)) {
+                    if (i >= options.length) throw missingValue(name);
+                    set(name, options[i++]);
                 } else {
-                    i++;
+                    set(name, true);
                 }
                 continue;
             }
 
-            // Handle verbose flags with embedded value (--flag=value)
-            if (Parser.PATTERNS.VERBOSE_FLAG_VALUE_EQUALS.test(current)) {
-                const nameMatch = current.match(Parser.PATTERNS.VERBOSE_FLAG_NAME_CAPTURE);
-                const valueMatch = current.match(Parser.PATTERNS.VERBOSE_FLAG_VALUE_CAPTURE);
-                
-                if (nameMatch && valueMatch) {
-                    parsed[nameMatch[1]] = this._cleanQuotes(valueMatch[1]);
-                }
-                i++;
-                continue;
-            }
+            // Grouped short flags (-la); a flag that takes a value uses the
+            // rest of the group (-n5), or else the next argument (-n 5)
+            if (Parser.PATTERNS.SHORT_FLAGS.test(current)) {
+                for (let j = 1; j < current.length; j++) {
+                    const name = current[j];
+                    if (!takesValue(name)) {
+                        set(name, true);
+                        continue;
+                    }
 
-            // Handle verbose flags (--flag)
-            if (Parser.PATTERNS.VERBOSE_FLAG.test(current)) {
-                const optionName = current.replace('--', '');
-                const next = options[i + 1];
-                
-                if (!next || Parser.PATTERNS.ANY_FLAG.test(next)) {
-                    parsed[optionName] = true;
-                    i++;
-                } else {
-                    parsed[optionName] = this._cleanQuotes(next);
-                    i += 2;
+                    if (j + 1 < current.length) {
+                        set(name, current.slice(j + 1));
+                    } else if (i < options.length) {
+                        set(name, options[i++]);
+                    } else {
+                        throw missingValue(name);
+                    }
+                    break;
                 }
                 continue;
             }
 
-            // Not a flag - add to positional arguments
-            this._.push(this._cleanQuotes(current));
-            i++;
+            // Not a flag (including a lone -) - add to positional arguments
+            this._.push(current);
         }
 
-        return parsed;
-    }
-
-    /**
-     * Remove surrounding quotes from a string
-     * @param {string} str - String to clean
-     * @returns {string} Cleaned string
-     * @private
-     */
-    _cleanQuotes(str) {
-        if (!str) return str;
-        
-        if ((str.startsWith('"') && str.endsWith('"')) ||
-            (str.startsWith("'") && str.endsWith("'"))) {
-            return str.slice(1, -1);
+        for (const [alias, flag] of Object.entries(spec.aliases ?? {})) {
+            if (Object.hasOwn(parsed, flag)) parsed[alias] = parsed[flag];
         }
-        
-        return str;
+
+        return parsed;
     }
 
     /**
      * Validate parsed command for common issues
-     * @returns {Object} Validation result
+     * @returns {{isValid: boolean, issues: Array<string>, diagnostics: Array<Object>}} Validation
+     *     result, with a diagnostic (see ParserError#diagnostic) locating each issue found in the input
      */
     validate() {
         const issues = [];
-        
-        // Check for unmatched quotes
-        const quoteCount = (this.raw.match(/"/g) || []).length;
-        const singleQuoteCount = (this.raw.match(/'/g) || []).length;
-        
-        if (quoteCount % 2 !== 0) {
-            issues.push('Unmatched double quote marks');
-        }
-        
-        if (singleQuoteCount % 2 !== 0) {
-            issues.push('Unmatched single quote marks');
+        const diagnostics = [];
+
+        // Check for unmatched quotes, ignoring quotes that are escaped or inside other quotes
+        try {
+            new Lexer(this.raw).tokenize();
+        } catch (error) {
+            if (!(error instanceof ParserError)) throw error;
+            issues.push(error.message);
+            diagnostics.push(error.diagnostic());
         }
 
         // Check for empty command
@@ -223,7 +1368,8 @@ export class Parser {
 
         return {
             isValid: issues.length === 0,
-            issues
+            issues,
+            diagnostics
         };
     }
 
@@ -254,7 +1400,8 @@ export class CommandValidator {
         if (!(parser instanceof Parser)) {
             return {
                 isValid: false,
-                issues: ['Invalid parser instance']
+                issues: ['Invalid parser instance'],
+                diagnostics: []
             };
         }
 
@@ -299,6 +1446,7 @@ export class CommandValidator {
 export class ParserCache {
     constructor(maxSize = 100) {
         this._cache = new Map();
+        this._lineCache = new Map();
         this._maxSize = maxSize;
     }
 
@@ -324,11 +1472,35 @@ export class ParserCache {
         return parser;
     }
 
+    /**
+     * Get syntax tree for a command line from cache or parse if not cached.
+     * The cache should be cleared when the alias table changes.
+     * @param {string} line - Command line to parse
+     * @param {Object} [options] - SyntaxParser options
+     * @returns {Object|null} Syntax tree
+     */
+    parseLine(line, options = {}) {
+        if (this._lineCache.has(line)) {
+            return this._lineCache.get(line);
+        }
+
+        const tree = new SyntaxParser(line, options).parse();
+
+        if (this._lineCache.size >= this._maxSize) {
+            const firstKey = this._lineCache.keys().next().value;
+            this._lineCache.delete(firstKey);
+        }
+
+        this._lineCache.set(line, tree);
+        return tree;
+    }
+
     /**
      * Clear the cache
      */
     clear() {
         this._cache.clear();
+        this._lineCache.clear();
     }
 
     /**
@@ -54,16 +54,19 @@ export class TextEditor extends InteractiveSession {
     }
 
     async _handleInsert(line) {
-        // In a real editor, you'd handle Ctrl+C differently
-        // This is a simplified version where typing 'ESC' exits insert mode
-        if (line.trim() === 'ESC') {
-            this.mode = 'command';
-            this.terminal.setPrompt(this.prompt);
-            this.terminal.printHTML('<span class="editor-mode">-- COMMAND MODE --</span>');
-        } else {
-            this.content.push(line);
-            this.terminal.printHTML(`<span class="editor-line">${this.content.length}: ${line}</span>`);
-        }
+        this.content.push(line);
+        this.terminal.printHTML(`<span class="editor-line">${this.content.length}: ${line}</span>`);
+    }
+
+    // Ctrl+C leaves insert mode, dropping the line being typed
+    onInterrupt() {
+        if (this.mode !== 'insert') return false;
+
+        this.terminal.clearCommand();
+        this.mode = 'command';
+        this.terminal.setPrompt(this.prompt);
+        this.terminal.printHTML('<span class="editor-mode">-- COMMAND MODE --</span>');
+        return true;
     }
 
     _showContent() {
@@ -283,4 +283,17 @@ export class GitHubCli extends InteractiveSession {
     onExit() {
         this.terminal.printHTML('<span class="info">Exiting GitHub Session...</span>');
     }
+
+    complete({ words, index }) {
+        if (this.state === 'list') return index === 0 ? ['next', 'prev', 'quit'] : null;
+        if (this.state === 'detail') return index === 0 ? ['back', 'quit'] : null;
+
+        if (index === 0) {
+            return ['user', 'repo', 'issues', 'pulls', 'commits', 'releases', 'search', 'exit'];
+        }
+        if (index === 1 && words[0] === 'search') {
+            return ['repos', 'users'];
+        }
+        return null;
+    }
 }
@@ -65,6 +65,30 @@ export class Metasploit extends InteractiveSession {
         this.terminal.printHTML('<span class="info">Exiting Metasploit REPL...</span>');
     }
 
+    // Tab completion of commands, module names and option names
+    complete({ words, index }) {
+        if (index === 0) {
+            const commands = ['help', 'search', 'use', 'show', 'sessions', 'version', 'exit', 'quit'];
+            if (this.state === 'module') {
+                commands.push('info', 'set', 'unset', 'run', 'exploit', 'launch', 'back');
+            }
+            return commands;
+        }
+        if (index !== 1) return null;
+
+        switch (words[0].toLowerCase()) {
+            case 'use':
+                return Object.keys(this.fakeModules);
+            case 'show':
+                return ['modules', 'options'];
+            case 'set':
+            case 'unset':
+                return this.state === 'module' ? Object.keys(this.moduleOptions) : null;
+            default:
+                return null;
+        }
+    }
+
     async handleInput(line) {
         const raw = line.trim();
         if (!raw) return;
@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Prompt string (PS1, PS2) escape sequences
+ * @module prompt
+ */
+
+import utils from './utils.js';
+
+/**
+ * Renders a bash prompt string into prompt HTML.
+ *
+ * Backslash escapes such as `\u`, `\w` and `\$` are replaced with their
+ * values. ANSI colour sequences (`\e[...m` or `\033[...m`, usually wrapped
+ * in `\[` and `\]`) switch to the theme class closest to the ANSI colour.
+ * Outside a colour segment the user, host, directory and `$` are given the
+ * theme's own prompt classes, so a plain `\u@\h [\w] \$ ` looks like the
+ * classic prompt.
+ */
+export class PromptString {
+    /**
+     * Theme classes used for the ANSI foreground colours 30-37 (and the
+     * bright colours 90-97). Null means the default text colour.
+     */
+    static ANSI_CLASSES = [null, 'error', 'success', 'warn', 'path', 'parameter', 'host', null];
+
+    /**
+     * Theme classes for escapes shown outside a colour segment
+     */
+    static ESCAPE_CLASSES = { u: 'user', h: 'host', H: 'host', w: 'path', W: 'path', $: 'cursor' };
+
+    /**
+     * Values of `\s`, `\v` and `\V`
+     */
+    static SHELL = { name: 'bash', version: '5.2', release: '5.2.0' };
+
+    /**
+     * Render a prompt string
+     * @param {string} template - Prompt string such as `$PS1`
+     * @param {Object} [context] - Values for the escapes
+     * @param {string} [context.user] - User name, for `\u`
+     * @param {string} [context.host] - Host name, for `\h` and `\H`
+     * @param {string} [context.cwd] - Working directory, for `\w` and `\W`
+     * @param {string} [context.home] - Home directory, shown as `~`
+     * @param {string} [context.cursor] - Prompt character, for `\$`
+     * @param {number} [context.jobs] - Number of jobs, for `\j`
+     * @param {number} [context.history] - History number of the next command, for `\!`
+     * @param {Date} [context.date] - Time shown by `\t`, `\T`, `\@`, `\A` and `\d`
+     * @returns {string} Prompt HTML
+     */
+    static render(template, context = {}) {
+        const ctx = { user: '', host: '', cwd: '/', home: '', cursor: '$', jobs: 0, history: 1, date: new Date(), ...context };
+        let html = '';
+        let colour = null;
+
+        const setColour = (className) => {
+            if (colour) html += '</span>';
+            colour = className;
+            if (colour) html += `<span class="${colour}">`;
+        };
+
+        for (let i = 0; i < template.length; i++) {
+            const char = template[i];
+
+            if (char === '\x1b') {
+                i = PromptString._readColour(template, i, colour, setColour);
+                continue;
+            }
+            if (char !== '\\' || i === template.length - 1) {
+                html += utils.escapeHTML(char);
+                continue;
+            }
+
+            const code = template[++i];
+
+            if (code === '[' || code === ']' || code === 'a') {
+                // Non-printing markers and the bell have no output
+                continue;
+            }
+            if (code === 'e' || template.startsWith('033', i)) {
+                if (code !== 'e') i += 2;
+                i = PromptString._readColour(template, i, colour, setColour);
+                continue;
+            }
+            if (/[0-7]/.test(code)) {
+                const octal = template.slice(i).match(/^[0-7]{1,3}/)[0];
+                i += octal.length - 1;
+                html += utils.escapeHTML(String.fromCharCode(parseInt(octal, 8)));
+                continue;
+            }
+
+            const value = PromptString._escape(code, ctx);
+            if (value === null) {
+                html += utils.escapeHTML(`\\${code}`);
+                continue;
+            }
+
+            const className = !colour && PromptString.ESCAPE_CLASSES[code];
+            html += className
+                ? `<span class="${className}">${utils.escapeHTML(value)}</span>`
+                : utils.escapeHTML(value);
+        }
+
+        setColour(null);
+        return html;
+    }
+
+    /**
+     * Shorten a directory the way `\w` shows it, with the home directory as `~`
+     * @param {string} cwd - Directory
+     * @param {string} home - Home directory
+     * @returns {string} Directory for display
+     */
+    static tildify(cwd, home) {
+        if (!home || home === '/') return cwd;
+        if (cwd === home) return '~';
+        return cwd.startsWith(`${home}/`) ? `~${cwd.slice(home.length)}` : cwd;
+    }
+
+    /**
+     * Get the text of a single-character escape
+     * @param {string} code - Character after the backslash
+     * @param {Object} ctx - Escape values
+     * @returns {string|null} Text, or null if the escape is not known
+     * @private
+     */
+    static _escape(code, ctx) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const date = ctx.date;
+        const hours12 = pad(date.getHours() % 12 || 12);
+
+        switch (code) {
+            case 'u': return ctx.user;
+            case 'h': return ctx.host.split('.')[0];
+            case 'H': return ctx.host;
+            case 'w': return PromptString.tildify(ctx.cwd, ctx.home);
+            case 'W': return ctx.cwd === ctx.home ? '~' : (ctx.cwd.split('/').filter(Boolean).pop() || '/');
+            case '$': return ctx.cursor;
+            case 'n': return '\n';
+            case 'r': return '';
+            case 'j': return String(ctx.jobs);
+            case '!': return String(ctx.history);
+            case 's': return PromptString.SHELL.name;
+            case 'v': return PromptString.SHELL.version;
+            case 'V': return PromptString.SHELL.release;
+            case 'd': return date.toDateString().slice(0, 10);
+            case 't': return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+            case 'T': return `${hours12}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+            case '@': return `${hours12}:${pad(date.getMinutes())} ${date.getHours() < 12 ? 'AM' : 'PM'}`;
+            case 'A': return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            case '\\': return '\\';
+            default: return null;
+        }
+    }
+
+    /**
+     * Read an ANSI select-graphic-rendition sequence (`ESC [ n;n m`) and
+     * switch colour. Other sequences are skipped.
+     * @param {string} template - Prompt string
+     * @param {number} index - Index of the last character of the escape introducer
+     * @param {string|null} colour - Current colour class
+     * @param {Function} setColour - Switches to a colour class, or back to none with null
+     * @returns {number} Index of the last character of the sequence
+     * @private
+     */
+    static _readColour(template, index, colour, setColour) {
+        const match = template.slice(index + 1).match(/^\[([\d;]*)([A-Za-z])/);
+        if (!match) return index;
+
+        if (match[2] === 'm') {
+            let next = colour;
+            const params = match[1].split(';').map(Number);
+
+            for (let i = 0; i < params.length; i++) {
+                const param = params[i];
+
+                if (param === 0 || param === 39) {
+                    next = null;
+                } else if ((param >= 30 && param <= 37) || (param >= 90 && param <= 97)) {
+                    next = PromptString.ANSI_CLASSES[param % 10];
+                } else if (param === 38 || param === 48) {
+                    // Skip 256-colour and RGB arguments
+                    i += params[i + 1] === 5 ? 2 : 4;
+                }
+            }
+
+            if (next !== colour) setColour(next);
+        }
+
+        return index + match[0].length;
+    }
+}
+
+export default PromptString;
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Line editing for the command line
+ * @module readline
+ */
+
+import utils from './utils.js';
+
+/**
+ * The line being typed, with a cursor that can be moved inside it and a
+ * kill buffer, after bash's readline. Methods are named after the
+ * readline commands they implement.
+ */
+export class LineEditor {
+    /**
+     * Create an editor
+     * @param {string} [text] - Initial line
+     */
+    constructor(text = '') {
+        this.text = text;
+        this.cursor = text.length;
+        this.killed = '';
+    }
+
+    /**
+     * Text before the cursor
+     * @returns {string} Text
+     */
+    get before() {
+        return this.text.slice(0, this.cursor);
+    }
+
+    /**
+     * Text from the cursor on
+     * @returns {string} Text
+     */
+    get after() {
+        return this.text.slice(this.cursor);
+    }
+
+    /**
+     * Replace the line. The kill buffer is kept.
+     * @param {string} text - New line
+     * @param {number} [cursor] - Cursor position, the end of the line by default
+     */
+    set(text, cursor = text.length) {
+        this.text = text;
+        this.cursor = Math.max(0, Math.min(cursor, text.length));
+    }
+
+    /**
+     * Insert text at the cursor, leaving the cursor after it
+     * @param {string} str - Text to insert
+     */
+    insert(str) {
+        this.set(this.before + str + this.after, this.cursor + str.length);
+    }
+
+    /**
+     * Delete characters before the cursor, as Backspace does
+     * @param {number} [n=1] - Number of characters
+     */
+    backwardDeleteChar(n = 1) {
+        const start = Math.max(0, this.cursor - n);
+        this.set(this.text.slice(0, start) + this.after, start);
+    }
+
+    /**
+     * Delete the character under the cursor, as Delete does
+     */
+    deleteChar() {
+        this.set(this.before + this.text.slice(this.cursor + 1), this.cursor);
+    }
+
+    /**
+     * Move the cursor one character left
+     */
+    backwardChar() {
+        this.cursor = Math.max(0, this.cursor - 1);
+    }
+
+    /**
+     * Move the cursor one character right
+     */
+    forwardChar() {
+        this.cursor = Math.min(this.text.length, this.cursor + 1);
+    }
+
+    /**
+     * Move the cursor to the start of the line
+     */
+    beginningOfLine() {
+        this.cursor = 0;
+    }
+
+    /**
+     * Move the cursor to the end of the line
+     */
+    endOfLine() {
+        this.cursor = this.text.length;
+    }
+
+    /**
+     * Move the cursor to the start of the current or previous word. Words
+     * are made of letters and digits.
+     */
+    backwardWord() {
+        this.cursor = this.before.search(/[A-Za-z0-9]*[^A-Za-z0-9]*$/);
+    }
+
+    /**
+     * Move the cursor to the end of the current or next word
+     */
+    forwardWord() {
+        this.cursor += this.after.match(/^[^A-Za-z0-9]*[A-Za-z0-9]*/)[0].length;
+    }
+
+    /**
+     * Kill the whitespace-delimited word before the cursor, as Ctrl+W does
+     */
+    unixWordRubout() {
+        this._kill(this.before.search(/\S*\s*$/), this.cursor);
+    }
+
+    /**
+     * Kill from the cursor to the end of the line, as Ctrl+K does
+     */
+    killLine() {
+        this._kill(this.cursor, this.text.length);
+    }
+
+    /**
+     * Insert the text killed last at the cursor, as Ctrl+Y does
+     */
+    yank() {
+        this.insert(this.killed);
+    }
+
+    /**
+     * Render the line, with the character under the cursor marked as the
+     * caret. At the end of the line there is no such character, and the
+     * terminal's own caret is shown instead.
+     * @returns {string} Line HTML
+     */
+    render() {
+        if (this.cursor >= this.text.length) return utils.escapeHTML(this.text);
+
+        const caret = utils.escapeHTML(this.text[this.cursor]);
+        return `${utils.escapeHTML(this.before)}<span class="caret">${caret}</span>${utils.escapeHTML(this.text.slice(this.cursor + 1))}`;
+    }
+
+    /**
+     * Cut a range of the line into the kill buffer. Nothing is killed
+     * from an empty range, so the buffer keeps the previous kill.
+     * @param {number} start - Start of the range
+     * @param {number} end - End of the range
+     * @private
+     */
+    _kill(start, end) {
+        if (start === end) return;
+        this.killed = this.text.slice(start, end);
+        this.set(this.text.slice(0, start) + this.text.slice(end), start);
+    }
+}
+
+export default LineEditor;
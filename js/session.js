@@ -47,6 +47,59 @@ export class InteractiveSession {
      * Use this for cleanup.
      */
     onExit() {}
+
+    /**
+     * Called when Ctrl+C is pressed while this session is active.
+     * Return true to stop the terminal from discarding the current line.
+     * @returns {boolean|Promise<boolean>} Whether the key was handled.
+     */
+    onInterrupt() {
+        return false;
+    }
+
+    /**
+     * Called when Ctrl+D is pressed while this session is active.
+     * By default the session ends on an empty line, as a shell or REPL
+     * does at end of file; on a line with text, the key is left to the
+     * terminal, which deletes the character under the cursor.
+     * @returns {boolean|Promise<boolean>} Whether the key was handled.
+     */
+    onEOF() {
+        if (this.terminal.command) return false;
+
+        this.terminal.popSession();
+        return true;
+    }
+
+    /**
+     * Called when Ctrl+L is pressed while this session is active.
+     * Return true to stop the terminal from clearing the screen.
+     * @returns {boolean|Promise<boolean>} Whether the key was handled.
+     */
+    onClearScreen() {
+        return false;
+    }
+
+    /**
+     * Called when Ctrl+U is pressed while this session is active.
+     * Return true to stop the terminal from clearing the current line.
+     * @returns {boolean|Promise<boolean>} Whether the key was handled.
+     */
+    onClearLine() {
+        return false;
+    }
+
+    /**
+     * Called when Tab is pressed while this session is active, to
+     * complete the word under the cursor. The terminal filters the
+     * candidates by the word typed so far. By default nothing completes.
+     * @param {Object} context - Completion context, with the `line`, the
+     *     `words` before the current one, its `index` and the `word` itself
+     * @returns {Array<string|Object>|null} Candidates, or null for none
+     */
+    complete(context) {
+        return null;
+    }
 }
 
 /**
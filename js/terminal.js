@@ -1,10 +1,60 @@
-import { Parser, ParserCache } from './parser.js';
+import { Parser, ParserCache, ParserError, IncompleteInputError } from './parser.js';
 import VirtualFileSystem from './vfs.js';
-import CommandManager from './command.js';
+import CommandManager, { Command } from './command.js';
+import Interpreter, { ControlFlow } from './interpreter.js';
+import AliasManager from './alias.js';
+import JobManager from './jobs.js';
+import PromptString from './prompt.js';
+import HistorySearch, { HistoryExpansion } from './history.js';
+import CompletionEngine from './completion.js';
+import LineEditor from './readline.js';
+import utils from './utils.js';
 import { SessionManager } from './session.js';
-import { DEFAULT_FS, DEFAULT_ENV, DEFAULT_ALIASES } from './filesystem-data.js';
+import { DEFAULT_FS, DEFAULT_ENV, SAMPLE_USERS } from './filesystem-data.js';
 
 export class TerminalEmulator {
+    /**
+     * Startup files run from the user's home directory, in order
+     */
+    static STARTUP_FILES = ['.profile', '.bashrc'];
+
+    /**
+     * Control keys by key code, with the session handler that may take
+     * them over and the terminal method that handles them otherwise
+     */
+    static CONTROL_KEYS = {
+        67: { handler: 'onInterrupt', action: 'interrupt' },     // Ctrl+C
+        68: { handler: 'onEOF', action: 'endOfInput' },          // Ctrl+D
+        76: { handler: 'onClearScreen', action: 'clear' },       // Ctrl+L
+        85: { handler: 'onClearLine', action: 'clearCommand' }   // Ctrl+U
+    };
+
+    /**
+     * Line editing keys by modifier and key code, with the LineEditor
+     * method each one runs
+     */
+    static EDITING_KEYS = {
+        none: {
+            8: 'backwardDeleteChar',    // Backspace
+            35: 'endOfLine',            // End
+            36: 'beginningOfLine',      // Home
+            37: 'backwardChar',         // Left
+            39: 'forwardChar',          // Right
+            46: 'deleteChar'            // Delete
+        },
+        ctrl: {
+            65: 'beginningOfLine',      // Ctrl+A
+            69: 'endOfLine',            // Ctrl+E
+            75: 'killLine',             // Ctrl+K
+            87: 'unixWordRubout',       // Ctrl+W
+            89: 'yank'                  // Ctrl+Y
+        },
+        alt: {
+            66: 'backwardWord',         // Alt+B
+            70: 'forwardWord'           // Alt+F
+        }
+    };
+
     /**
      * Create a new terminal emulator
      * @param {string|Element} element - DOM element or CSS selector
@@ -27,6 +77,9 @@ export class TerminalEmulator {
         this._initializeDOMElements();
         this._initializeSessionManager();
         this._initializeCommands();
+        this._initializeAliases();
+        this._initializeInterpreter();
+        this._initializeCompletion();
         this._bindEventHandlers();
         
         // State management
@@ -34,6 +87,9 @@ export class TerminalEmulator {
         
         // Apply initial settings
         this._applyInitialSettings();
+
+        // Resolves once the user's startup files have run
+        this.ready = this.loadStartupFiles();
     }
 
     /**
@@ -70,7 +126,9 @@ export class TerminalEmulator {
             fontFamily: 'monospace',
             forceFocus: true,
             overflow: 'auto',
-            whiteSpace: 'break-spaces'
+            whiteSpace: 'break-spaces',
+            rcFiles: true,
+            pasteMode: 'lines'
         };
 
         // Merge with user options
@@ -107,6 +165,7 @@ export class TerminalEmulator {
         // Environment variables
         this.env = { ...DEFAULT_ENV };
         this.env.PWD = this.vfs._absolute_path(this.vfs.cwd);
+        this.env['?'] = '0';
         
         // User information
         this.user = {
@@ -197,24 +256,77 @@ export class TerminalEmulator {
         // Create legacy commands object for backward compatibility
         this.commands = {};
         for (const commandName of this.commandManager.list()) {
-            const command = this.commandManager.get(commandName);
-            this.commands[commandName] = {
-                name: command.name,
-                type: command.type,
-                mime: command.mime,
-                help: command.help,
-                func: async (argv) => {
-                    await command.execute(this, argv);
-                }
-            };
+            this.commands[commandName] = this._commandEntry(this.commandManager.get(commandName));
+            this._installCommand(commandName, '/usr/bin');
         }
-        
-        // Add aliases
-        for (const [alias, commandName] of Object.entries(DEFAULT_ALIASES)) {
-            if (this.commands[commandName]) {
-                this.commands[alias] = this.commands[commandName];
+    }
+
+    /**
+     * Make the entry of the command table for a command
+     * @param {Command} command - Command instance
+     * @returns {Object} Entry with the command's details and a `func(argv, io)` that runs it
+     * @private
+     */
+    _commandEntry(command) {
+        return {
+            name: command.name,
+            type: command.type,
+            mime: command.mime,
+            help: command.help,
+            flags: command.flags,
+            optionSpec: command.optionSpec,
+            complete: (context) => command.complete(context),
+            func: async (argv, io = {}) => {
+                return await command.run(io.terminal || this, argv, io);
             }
+        };
+    }
+
+    /**
+     * Give a command an executable in the filesystem, so the shell finds
+     * it on `$PATH`. Shell builtins, and commands that already have an
+     * executable on the default path, are left alone.
+     * @param {string} name - Command name
+     * @param {string} dir - Directory to install into
+     * @private
+     */
+    _installCommand(name, dir) {
+        if (this.commands[name].type === 'builtin' || this.vfs.which(name, DEFAULT_ENV.PATH).length > 0) {
+            return;
         }
+
+        try {
+            this.vfs.install(`${dir}/${name}`, `#!/bin/bash\n# ${name}`);
+        } catch (error) {
+            console.warn(`Could not install '${name}':`, error.message);
+        }
+    }
+
+    /**
+     * Initialize the current user's aliases
+     * @private
+     */
+    _initializeAliases() {
+        this.aliases = new AliasManager(this.prefs, () => this._parserCache.clear());
+        this.aliases.load(this.user.name);
+    }
+
+    /**
+     * Initialize command line interpreter and job table
+     * @private
+     */
+    _initializeInterpreter() {
+        this.interpreter = new Interpreter(this);
+        this.jobs = new JobManager(this);
+    }
+
+    /**
+     * Initialize tab completion
+     * @private
+     */
+    _initializeCompletion() {
+        this.completion = new CompletionEngine(this);
+        this._completedLine = null;
     }
 
     /**
@@ -224,10 +336,12 @@ export class TerminalEmulator {
     _bindEventHandlers() {
         this._keydownHandler = this._handleKeydown.bind(this);
         this._keypressHandler = this._handleKeypress.bind(this);
+        this._pasteHandler = this._handlePaste.bind(this);
         this._clickHandler = this._handleClick.bind(this);
         
         document.addEventListener("keydown", this._keydownHandler);
         document.addEventListener("keypress", this._keypressHandler);
+        document.addEventListener("paste", this._pasteHandler);
         this.container.addEventListener("click", this._clickHandler);
     }
 
@@ -238,9 +352,13 @@ export class TerminalEmulator {
     _initializeState() {
         this.sudo = false; 
         this.allowInput = true;
-        this.command = '';
+        this.line = new LineEditor();
+        this.pendingInput = null;
+        this._pasteQueue = [];
+        this._pasting = false;
         this.commandHistory = this.prefs?.get("cmdHistory") || [];
         this.historyIndex = this.commandHistory.length;
+        this._search = null;
         
         // Prompt types
         this.PROMPT_INPUT = 1;
@@ -266,15 +384,48 @@ export class TerminalEmulator {
      * @private
      */
     _handleKeydown(e) {
-        if (!this.allowInput) return;
-
         const keyCode = e.which || e.keyCode;
+
+        // Ctrl+C and Ctrl+Z still reach a foreground job that has taken over the input
+        const jobControlKey = e.ctrlKey && (keyCode === 67 || keyCode === 90) && this.jobs.foreground;
+        if (!this.allowInput && !jobControlKey) return;
+
+        if (this._search && this._handleSearchKeydown(e, keyCode)) return;
+
+        // Ctrl+R searches the history
+        if (e.ctrlKey && keyCode === 82) {
+            e.preventDefault();
+            if (!this.jobs.foreground) this._startSearch();
+            return;
+        }
+
+        // Ctrl+Z stops the foreground job
+        if (e.ctrlKey && keyCode === 90) {
+            e.preventDefault();
+            this.jobs.suspend();
+            return;
+        }
+
+        const controlKey = e.ctrlKey && !e.altKey && !e.metaKey && TerminalEmulator.CONTROL_KEYS[keyCode];
+        if (controlKey) {
+            // Ctrl+C still copies when text is selected
+            if (keyCode === 67 && document.getSelection?.()?.toString()) return;
+
+            e.preventDefault();
+            this._handleControlKey(controlKey);
+            return;
+        }
         const inputElements = ["INPUT", "TEXTAREA"];
-        
-        // Backspace handling
-        if (keyCode === 8 && !inputElements.includes(e.target.tagName)) {
+
+        // Moving the cursor and editing the line
+        const editingKey = this._editingKey(e, keyCode);
+        if (editingKey && !inputElements.includes(e.target.tagName)) {
             e.preventDefault();
-            if (this.command !== "") this.erase(1);
+            if (!this.jobs.foreground) {
+                this.line[editingKey]();
+                this._renderLine();
+            }
+            return;
         }
 
         // History navigation
@@ -283,7 +434,7 @@ export class TerminalEmulator {
             this._handleHistoryNavigation(keyCode === 38 ? 'up' : 'down');
         }
 
-        // Tab completion (placeholder for future implementation)
+        // Tab completion
         if (keyCode === 9) {
             e.preventDefault();
             this._handleTabCompletion();
@@ -296,20 +447,146 @@ export class TerminalEmulator {
      * @private
      */
     async _handleKeypress(e) {
-        if (!this.allowInput) return;
+        // Typing waits until the foreground job is done or stopped
+        if (!this.allowInput || this.jobs.foreground) return;
 
         const keyCode = e.which || e.keyCode;
 
+        if (this._search) {
+            if (keyCode !== 13) {
+                this._search.type(String.fromCharCode(keyCode));
+                this._renderSearch();
+                return;
+            }
+            // Enter runs the match
+            this._endSearch(true);
+        }
+
         if (keyCode === 13) { // ENTER
-            const clone = this.stdin.cloneNode(true);
-            this.stdout.appendChild(clone);
-            this.stdinLine.innerHTML = "";
+            this._echoInputLine();
             await this.processCommand();
             this.scrollBottom();
         } else {
             this.scrollBottom();
-            this.appendCommand(String.fromCharCode(keyCode));
+            this.insertCommand(String.fromCharCode(keyCode));
+        }
+    }
+
+    /**
+     * Handle paste events. Text pasted into an input field, such as the
+     * one a prompt reads from, is left to the field.
+     * @param {ClipboardEvent} e - Clipboard event
+     * @private
+     */
+    _handlePaste(e) {
+        if (!this.allowInput || ["INPUT", "TEXTAREA"].includes(e.target.tagName)) return;
+
+        const text = e.clipboardData?.getData('text/plain');
+        if (!text) return;
+
+        e.preventDefault();
+        this.paste(text);
+    }
+
+    /**
+     * Find the line editing command bound to a key
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {number} keyCode - Key code
+     * @returns {string|undefined} LineEditor method name
+     * @private
+     */
+    _editingKey(e, keyCode) {
+        if (e.metaKey || (e.ctrlKey && e.altKey)) return undefined;
+
+        const modifier = e.ctrlKey ? 'ctrl' : e.altKey ? 'alt' : 'none';
+        return TerminalEmulator.EDITING_KEYS[modifier][keyCode];
+    }
+
+    /**
+     * Start a reverse incremental history search, as Ctrl+R does
+     * @private
+     */
+    _startSearch() {
+        this._search = new HistorySearch(this.commandHistory, this.command || '');
+        this._searchPrompt = this._promptPS1.innerHTML;
+        this._renderSearch();
+    }
+
+    /**
+     * Handle a key while searching the history. Ctrl+R finds an older
+     * match, Backspace shortens the query, Esc or Ctrl+G cancels, and keys
+     * that move or edit, such as the arrows, Tab or another control key,
+     * accept the match and then do what they normally do.
+     * @param {KeyboardEvent} e - Keyboard event
+     * @param {number} keyCode - Key code
+     * @returns {boolean} True if the key was used by the search
+     * @private
+     */
+    _handleSearchKeydown(e, keyCode) {
+        if (e.ctrlKey && keyCode === 82) {
+            e.preventDefault();
+            this._search.next();
+            this._renderSearch();
+            return true;
+        }
+        if (keyCode === 27 || (e.ctrlKey && keyCode === 71)) {
+            e.preventDefault();
+            this._endSearch(false);
+            return true;
         }
+        if (keyCode === 8) {
+            e.preventDefault();
+            this._search.erase();
+            this._renderSearch();
+            return true;
+        }
+
+        if ([9, 35, 36, 37, 38, 39, 40].includes(keyCode) || (e.ctrlKey && keyCode >= 65 && keyCode <= 90)) {
+            this._endSearch(true);
+            // Right only accepts the match
+            if (keyCode === 39) {
+                e.preventDefault();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Show the search prompt and the current match
+     * @private
+     */
+    _renderSearch() {
+        this._promptPS1.innerHTML = this._search.renderPrompt();
+        this.stdinLine.innerHTML = this._search.renderLine();
+        this.scrollBottom();
+    }
+
+    /**
+     * Leave the history search, putting back the prompt
+     * @param {boolean} accept - Keep the match as the line being typed, rather than the original line
+     * @private
+     */
+    _endSearch(accept) {
+        const search = this._search;
+        this._search = null;
+
+        this._promptPS1.innerHTML = this._searchPrompt;
+        this.line.set(accept ? search.match : search.line);
+        this._renderLine();
+        this.historyIndex = accept && search.index < this.commandHistory.length ? search.index : this.commandHistory.length;
+    }
+
+    /**
+     * Handle a control key, giving the active session the first chance
+     * @param {{handler: string, action: string}} controlKey - Entry of CONTROL_KEYS
+     * @private
+     */
+    async _handleControlKey({ handler, action }) {
+        const session = this.sessionManager.getCurrent();
+        if (session && await session[handler]()) return;
+
+        await this[action]();
     }
 
     /**
@@ -345,12 +622,75 @@ export class TerminalEmulator {
     }
 
     /**
-     * Handle tab completion (placeholder)
+     * Handle tab completion of the word before the cursor. A single match
+     * completes the word; several complete as much as they have in common,
+     * and pressing Tab again lists them.
      * @private
      */
     _handleTabCompletion() {
-        // TODO: Implement tab completion
-        console.log('Tab completion not yet implemented');
+        if (this.jobs.foreground) return;
+
+        const line = this.line.before;
+        const { start, quote, candidates } = this.completion.complete(line);
+        if (candidates.length === 0) return;
+
+        if (candidates.length === 1) {
+            const [candidate] = candidates;
+            const ending = candidate.partial ? '' : `${quote ?? ''} `;
+            // A space already after the cursor is stepped over, not doubled
+            const spaced = ending.endsWith(' ') && this.line.after.startsWith(' ');
+            this._replaceCommand(line.slice(0, start) + candidate.text + (spaced ? ending.slice(0, -1) : ending));
+            if (spaced) {
+                this.line.forwardChar();
+                this._renderLine();
+            }
+            this._completedLine = null;
+            return;
+        }
+
+        const common = candidates.map(candidate => candidate.text).reduce(utils.commonPrefix);
+        if (common.length > line.length - start) {
+            this._replaceCommand(line.slice(0, start) + common);
+        } else if (this._completedLine === line) {
+            this._listCompletions(candidates.map(candidate => candidate.display));
+        }
+        this._completedLine = this.line.before;
+    }
+
+    /**
+     * Replace the text before the cursor, keeping the rest of the line
+     * @param {string} text - New text
+     * @private
+     */
+    _replaceCommand(text) {
+        this.line.set(text + this.line.after, text.length);
+        this._renderLine();
+    }
+
+    /**
+     * Print completion candidates in columns below a copy of the line
+     * being typed, which stays as it is
+     * @param {Array<string>} names - Names to list
+     * @private
+     */
+    _listCompletions(names) {
+        const width = Math.max(...names.map(name => name.length)) + 2;
+        const columns = Math.max(1, Math.floor((parseInt(this.env.COLUMNS, 10) || 80) / width));
+        const rows = Math.ceil(names.length / columns);
+        const lines = [];
+
+        // Sorted down the columns, as bash lists them
+        for (let row = 0; row < rows; row++) {
+            let text = '';
+            for (let column = 0; column < columns; column++) {
+                const name = names[column * rows + row];
+                if (name !== undefined) text += name.padEnd(width);
+            }
+            lines.push(text.trimEnd());
+        }
+
+        this.stdout.appendChild(this.stdin.cloneNode(true));
+        this.print(lines.join('\n'));
     }
 
     /**
@@ -363,11 +703,48 @@ export class TerminalEmulator {
     }
 
     /**
-     * Process current command
+     * Parse a full command line into a syntax tree with caching
+     * @param {string} stdin - Command line
+     * @returns {Object|null} Syntax tree
+     */
+    parseLine(stdin) {
+        return this._parserCache.parseLine(stdin, { aliases: this.aliases });
+    }
+
+    /**
+     * Check a command line for syntax errors without running it
+     * @param {string} input - Command line, which may span several lines
+     * @returns {Object|null} Diagnostic of the first error (see ParserError#diagnostic),
+     *     with `incomplete` set if the input only needs more lines; null if it parses
+     */
+    diagnose(input) {
+        try {
+            this.parseLine(input);
+            return null;
+        } catch (error) {
+            if (!(error instanceof ParserError)) throw error;
+            return error.diagnostic();
+        }
+    }
+
+    /**
+     * Process current command. Input that needs more lines, such as an open
+     * quote, a trailing `\` or `|`, or an open here-document, is kept and
+     * completed by the following lines, which are read under the PS2 prompt.
+     * The joined lines are run and stored in history as one entry.
      */
     async processCommand() {
+        if (!this.sessionManager.isActive() && !(await this._expandHistory())) {
+            return;
+        }
+
+        if (this.pendingInput !== null) {
+            this.command = `${this.pendingInput}\n${this.command || ''}`;
+            this.pendingInput = null;
+        }
+
         if (!this.command?.trim()) {
-            this._finalizeCommand();
+            await this._finalizeCommand();
             return;
         }
 
@@ -375,65 +752,161 @@ export class TerminalEmulator {
         const currentSession = this.sessionManager.getCurrent();
         if (currentSession) {
             // Let the session handle the input
+            this.addToHistory(this.command);
             try {
                 await currentSession.handleInput(this.command.trim());
             } catch (error) {
                 this.printError('Session error: ').write(`${error.message}`);
             }
-            this._finalizeCommand();
+            await this._finalizeCommand();
             return;
         }
 
         // Normal command processing when no session is active
-        let parser;
+        let tree;
         try {
-            parser = this.parseCommand(this.command.trim());
+            tree = this.parseLine(this.command.trim());
         } catch (e) {
-            this.printHTML(`<span class="error">Parse error</span>: ${e.message}\n`);
-            this._finalizeCommand();
+            if (e instanceof IncompleteInputError) {
+                this.pendingInput = this.command;
+                this.command = '';
+                this.setPrompt(this.renderPrompt(this.env.PS2 ?? '> '));
+                return;
+            }
+            this.addToHistory(this.command);
+            if (e instanceof ParserError) {
+                this._printSyntaxError(e);
+            } else {
+                this.printHTML(`<span class="error">Parse error</span>: ${e.message}\n`);
+            }
+            this.env['?'] = '2';
+            await this._finalizeCommand();
             return;
         }
 
-        await this._executeCommand(parser);
+        await this._executeCommand(tree);
     }
 
     /**
-     * Execute parsed command
-     * @param {Parser} parser - Parsed command
+     * Expand history references such as `!!` and `^old^new` in the line
+     * just typed. An expanded line is echoed, as bash does; with `:p` it
+     * is only echoed and recorded, not run.
+     * @returns {Promise<boolean>} False if the line is not to be run
      * @private
      */
-    async _executeCommand(parser) {
+    async _expandHistory() {
+        let expansion;
         try {
-            if (this.commands[parser.command]) {
-                await this.commands[parser.command].func(parser);
-            } else {
-                this.printHTML(`-bash: <span class="cmd">${parser.command}</span>: <span class="error">command not found</span>\n`);
-            }
+            expansion = HistoryExpansion.expand(this.command || '', this.commandHistory);
         } catch (error) {
-            this.printHTML(`<span class="error">${parser.command}</span>: ${error.message}\n`);
-            console.error(`Command '${parser.command}' error:`, error);
-        } finally {
-            this._finalizeCommand();
+            this.printError(`-bash: ${error.message}`);
+            this.pendingInput = null;
+            this.env['?'] = '1';
+            await this._finalizeCommand();
+            return false;
+        }
+
+        if (!expansion.expanded) return true;
+
+        this.command = expansion.line;
+        this.print(expansion.line);
+
+        if (expansion.print) {
+            this.addToHistory(this.pendingInput === null ? this.command : `${this.pendingInput}\n${this.command}`);
+            this.pendingInput = null;
+            await this._finalizeCommand();
+            return false;
         }
+        return true;
     }
 
     /**
-     * Finalize command execution
+     * Execute parsed command line as the foreground job. The prompt comes
+     * back when the job ends, or when it is stopped with Ctrl+Z or killed
+     * with Ctrl+C.
+     * @param {Object} tree - Syntax tree from parseLine()
      * @private
      */
-    _finalizeCommand() {
-        if (this.command?.trim()) {
-            this.addToHistory(this.command);
+    async _executeCommand(tree) {
+        const job = this.jobs.create(this.command.trim());
+
+        // Recorded first, so that `history` lists the line running it
+        this.addToHistory(this.command);
+
+        try {
+            job.start(() => this.interpreter.execute(tree, { terminal: job.output(this), signal: job.signal, job }));
+            this.env['?'] = String(await this.jobs.wait(job));
+
+            // A killed command that had taken over the input cannot give it back
+            if (job.signal.aborted && !this.allowInput) {
+                this.secondaryCommand(false);
+            }
+        } finally {
+            await this._finalizeCommand();
         }
+    }
+
+    /**
+     * Run shell code other than a command line, such as a startup file,
+     * as the foreground job, so that Ctrl+C can interrupt it
+     * @param {string} command - What the job runs, as `jobs` shows it
+     * @param {Function} run - Called with the job's I/O context, resolves to the exit status
+     * @returns {Promise<Job>} The job, once it has ended, stopped or been killed
+     * @private
+     */
+    async _runJob(command, run) {
+        const job = this.jobs.create(command);
+        job.start(() => run({ terminal: job.output(this), signal: job.signal, job }));
+        await this.jobs.wait(job);
+        return job;
+    }
+
+    /**
+     * Finalize command execution, running `$PROMPT_COMMAND` before the
+     * prompt is shown again
+     * @private
+     */
+    async _finalizeCommand() {
         this.command = "";
+        this.jobs.notify();
+        await this._runPromptCommand();
         this.setPrompt();
     }
 
+    /**
+     * Run `$PROMPT_COMMAND` in the shell, as a job that Ctrl+C can
+     * interrupt. `$?` keeps the status of the command line, so the prompt
+     * can still show it.
+     * @private
+     */
+    async _runPromptCommand() {
+        const command = this.env.PROMPT_COMMAND;
+        if (!command || this.sessionManager.getCurrent()) return;
+
+        const status = this.env['?'];
+        try {
+            await this._runJob(command, async (io) => {
+                try {
+                    return await this.interpreter.runScript(command, { name: '-bash: PROMPT_COMMAND', io });
+                } catch (error) {
+                    if (error instanceof ControlFlow) throw error;
+
+                    io.terminal.printError(`-bash: PROMPT_COMMAND: ${error.message}`);
+                    return 1;
+                }
+            });
+        } finally {
+            this.env['?'] = status;
+        }
+    }
+
     /**
      * Add command to history
      * @param {string} command - Command to add
      */
     addToHistory(command) {
+        if (!command?.trim()) return;
+
         // Avoid duplicate consecutive commands
         if (this.commandHistory.length > 0 && 
             this.commandHistory[this.commandHistory.length - 1] === command) {
@@ -451,6 +924,16 @@ export class TerminalEmulator {
         this.prefs?.set("cmdHistory", this.commandHistory);
     }
 
+    /**
+     * Replace the command history, as `history -c`, `-d` and `-r` do
+     * @param {Array<string>} entries - New history, oldest first
+     */
+    setHistory(entries) {
+        this.commandHistory = entries.slice(-this.opts.maxHistorySize);
+        this.historyIndex = this.commandHistory.length;
+        this.prefs?.set("cmdHistory", this.commandHistory);
+    }
+
     /**
      * Print text to terminal
      * @param {string} message - Message to print
@@ -562,6 +1045,72 @@ export class TerminalEmulator {
         }
     }
 
+    /**
+     * Create a view of the terminal whose output goes to the given streams
+     * instead of the screen. Everything else is shared with the terminal.
+     * @param {Object} streams - Output streams
+     * @param {{write: Function}} [streams.stdout] - Receives regular output as text
+     * @param {{write: Function}} [streams.stderr] - Receives printError() output as text
+     * @returns {TerminalEmulator} Terminal view
+     */
+    withStreams({ stdout, stderr }) {
+        const overrides = {};
+
+        if (stdout) {
+            overrides.print = (message) => {
+                stdout.write(`${message}\n`);
+                return view;
+            };
+            overrides.printHTML = (content) => {
+                stdout.write(`${utils.htmlToText(content)}\n`);
+                return view;
+            };
+            overrides.write = (message) => {
+                stdout.write(utils.htmlToText(message));
+                return view;
+            };
+            overrides.newLine = () => {
+                stdout.write('\n');
+                return view;
+            };
+            overrides.type = async (message) => {
+                stdout.write(message);
+            };
+        }
+
+        // Errors keep going where they went before unless stderr is given,
+        // rather than following print() into the new stdout
+        overrides.printError = (message) => {
+            if (stderr) {
+                stderr.write(`${utils.htmlToText(message)}\n`);
+            } else {
+                this.printError(message);
+            }
+            return view;
+        };
+
+        const view = this.withOverrides(overrides);
+        return view;
+    }
+
+    /**
+     * Get a view of this terminal with some properties replaced, such as
+     * the `env` and `interpreter` of a background job. Everything else is
+     * the terminal's own.
+     * @param {Object} overrides - Properties the view returns instead
+     * @returns {TerminalEmulator} Terminal view
+     */
+    withOverrides(overrides) {
+        return new Proxy(this, {
+            get(target, prop, receiver) {
+                if (Object.hasOwn(overrides, prop)) {
+                    return overrides[prop];
+                }
+                return Reflect.get(target, prop, receiver);
+            }
+        });
+    }
+
     /**
      * Scroll to bottom with debouncing
      * @returns {TerminalEmulator} Self for chaining
@@ -586,30 +1135,209 @@ export class TerminalEmulator {
     }
 
     /**
-     * Append to current command
-     * @param {string} str - String to append
+     * The line being typed. Setting it puts the cursor at the end, but
+     * does not redraw the line.
+     * @returns {string} Current command
+     */
+    get command() {
+        return this.line.text;
+    }
+
+    set command(value) {
+        this.line.set(value ?? '');
+    }
+
+    /**
+     * Append text to the end of the current command, moving the cursor there
+     * @param {string} str - Text to append
      */
     appendCommand(str) {
-        this.stdinLine.insertAdjacentHTML('beforeend', str);
-        this.command = (this.command || '') + str;
+        this.line.set(this.line.text + str);
+        this._renderLine();
+    }
+
+    /**
+     * Insert text into the current command at the cursor, as typing does
+     * @param {string} str - Text to insert
+     */
+    insertCommand(str) {
+        this.line.insert(str);
+        this._renderLine();
+    }
+
+    /**
+     * Paste text into the current command at the cursor. Text with line
+     * breaks is handled by the `pasteMode` option: `'lines'` runs each
+     * line as a command of its own, as if it had been typed, leaving any
+     * text after the last line break to edit; `'bracketed'` inserts it
+     * all as one block, which runs when Enter is pressed. Control
+     * characters other than tabs are dropped, and so is text pasted while
+     * a command runs, as typing is, unless pasted lines are still waiting
+     * to run after it.
+     * @param {string} text - Text to paste
+     * @returns {Promise} Resolves when the pasted lines have run
+     */
+    async paste(text) {
+        const lines = text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '')
+            .split('\n');
+
+        if (this._search) {
+            this._search.type(lines[0]);
+            this._renderSearch();
+            return;
+        }
+
+        // Lines pasted while earlier ones are still running wait their turn
+        if (this._pasting) {
+            lines.unshift((this._pasteQueue.pop() ?? '') + lines.shift());
+            this._pasteQueue.push(...lines);
+            return;
+        }
+        if (this.jobs.foreground) return;
+
+        if (lines.length === 1 || this.opts.pasteMode === 'bracketed') {
+            this.insertCommand(lines.join('\n').replace(/\n+$/, ''));
+            this.scrollBottom();
+            return;
+        }
+
+        this._pasteQueue.push(...lines);
+
+        this._pasting = true;
+        try {
+            while (this._pasteQueue.length > 1) {
+                this.insertCommand(this._pasteQueue.shift());
+                this._echoInputLine();
+                await this.processCommand();
+            }
+            if (this._pasteQueue.length > 0) {
+                this.insertCommand(this._pasteQueue.shift());
+            }
+        } finally {
+            this._pasting = false;
+        }
+        this.scrollBottom();
     }
 
     /**
-     * Erase characters from command
+     * Erase characters before the cursor
      * @param {number} n - Number of characters to erase
      */
     erase(n) {
-        this.command = this.command.slice(0, -n);
-        this.stdinLine.innerHTML = this.stdinLine.innerHTML.slice(0, -n);
+        this.line.backwardDeleteChar(n);
+        this._renderLine();
     }
 
     /**
      * Clear current command
      */
     clearCommand() {
-        if (this.command && this.command.length > 0) {
-            this.erase(this.command.length);
+        this.line.set('');
+        this._renderLine();
+    }
+
+    /**
+     * Draw the line being typed. With the cursor inside the line, the
+     * character under it is the caret, instead of the one at the end.
+     * @private
+     */
+    _renderLine() {
+        this.stdinLine.innerHTML = this.line.render();
+        this.container.classList.toggle('caret-inline', this.line.cursor < this.line.text.length);
+    }
+
+    /**
+     * Interrupt, as Ctrl+C does: the foreground job is sent SIGINT, and
+     * with no job running, the line being typed is discarded along with
+     * any lines waiting for more input
+     */
+    interrupt() {
+        // Pasted lines that have not run yet are dropped
+        this._pasteQueue = [];
+
+        if (this.jobs.foreground) {
+            this.write('^C');
+            this.jobs.foreground.kill('INT');
+            return;
         }
+
+        this._echoInputLine('^C');
+        this.command = '';
+        this.pendingInput = null;
+        this.env['?'] = '130';
+        this.setPrompt();
+    }
+
+    /**
+     * End the input, as Ctrl+D does on an empty line. Lines waiting for
+     * more input are run, with any open here-document ending there;
+     * input that is incomplete in any other way is a syntax error. On a
+     * line with text, the character under the cursor is deleted instead.
+     */
+    async endOfInput() {
+        if (this.jobs.foreground) return;
+        if (this.command) {
+            this.line.deleteChar();
+            this._renderLine();
+            return;
+        }
+        if (this.pendingInput === null) return;
+
+        let input = this.pendingInput;
+        this._echoInputLine();
+        this.pendingInput = null;
+
+        while (true) {
+            try {
+                this.parseLine(input.trim());
+                break;
+            } catch (error) {
+                if (!(error instanceof IncompleteInputError)) break;
+
+                if (!error.delimiter) {
+                    this._printSyntaxError(error);
+                    this.addToHistory(input);
+                    this.env['?'] = '2';
+                    await this._finalizeCommand();
+                    return;
+                }
+
+                const line = input.slice(0, error.position).split('\n').length;
+                this.printError(`-bash: warning: here-document at line ${line} delimited by end-of-file (wanted \`${error.delimiter}')`);
+                input += `\n${error.delimiter}`;
+            }
+        }
+
+        this.command = input;
+        await this.processCommand();
+        this.scrollBottom();
+    }
+
+    /**
+     * Report a syntax error as bash does, followed by the line it is on,
+     * a caret under where it is, and a hint for fixing it
+     * @param {ParserError} error - Syntax error
+     * @private
+     */
+    _printSyntaxError(error) {
+        const message = error instanceof IncompleteInputError ? 'syntax error: unexpected end of file' : error.message;
+        this.printError(utils.escapeHTML(error.format(`-bash: ${message}`)));
+    }
+
+    /**
+     * Copy the prompt and the line being typed to the output, as Enter does
+     * @param {string} [suffix] - Text shown after the line, such as `^C`
+     * @private
+     */
+    _echoInputLine(suffix = '') {
+        const line = this.stdin.cloneNode(true);
+        line.appendChild(document.createTextNode(suffix));
+        this.stdout.appendChild(line);
+        this.stdinLine.innerHTML = '';
+        this.container.classList.remove('caret-inline');
+        this.scrollBottom();
     }
 
     secondaryCommand(bool) {
@@ -673,7 +1401,25 @@ export class TerminalEmulator {
     }
 
     /**
-     * Construct default prompt
+     * Render a prompt string such as `$PS1`, replacing its escapes
+     * (`\u`, `\w`, `\$`, colours...) with the current values
+     * @param {string} template - Prompt string
+     * @returns {string} Prompt HTML
+     */
+    renderPrompt(template) {
+        return PromptString.render(template, {
+            user: this.env.USER || this.user?.name || 'demo',
+            host: this.env.HOSTNAME || 'localhost',
+            cwd: this.path,
+            home: this.env.HOME,
+            cursor: this.sudo ? '#' : this.opts.cursor,
+            jobs: this.jobs.size,
+            history: this.commandHistory.length + 1
+        });
+    }
+
+    /**
+     * Construct default prompt from `$PS1`, unless a session overrides it
      * @returns {string} HTML prompt string
      * @private
      */
@@ -687,13 +1433,7 @@ export class TerminalEmulator {
             return currentSession.prompt;
         }
 
-        // Default prompt construction
-        const user = `<span class="user">${this.env.USER || 'demo'}</span>`;
-        const at = `<span class="at">@</span>`;
-        const host = `<span class="host">${this.env.HOSTNAME || 'localhost'}&emsp;</span>`;
-        const path = `<span class="path">[${this.path}]&emsp;</span>`;
-        const cursor = `<span class="cursor">${this.sudo ? "#" : this.opts.cursor}&emsp;</span>`;
-        return user + at + host + path + cursor;
+        return this.renderPrompt(this.env.PS1 ?? '');
     }
 
     /**
@@ -788,9 +1528,22 @@ export class TerminalEmulator {
      * @private
      */
     async _prompt(message, promptType, type = false) {
-        return new Promise(async (resolve) => {
+        return new Promise(async (resolve, reject) => {
             const shouldDisplayInput = (promptType === this.PROMPT_INPUT || promptType === this.PROMPT_CONFIRM);
             const inputField = document.createElement('input');
+
+            // Killing the job that asked, such as with Ctrl+C, cancels the prompt
+            const signal = this.jobs.foreground?.signal;
+            const cancel = () => {
+                inputField.remove();
+                this.stdinLine.textContent = '';
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', cancel, { once: true });
+            const settle = (value) => {
+                signal?.removeEventListener('abort', cancel);
+                resolve(value);
+            };
             
             // Setup input field
             this._setupInputField(inputField);
@@ -809,7 +1562,7 @@ export class TerminalEmulator {
                 }
             }
             
-            this._setupInputHandlers(inputField, promptType, shouldDisplayInput, resolve);
+            this._setupInputHandlers(inputField, promptType, shouldDisplayInput, settle);
             
             if (this.shouldFocus()) {
                 inputField.focus();
@@ -969,6 +1722,91 @@ export class TerminalEmulator {
         return this;
     }
 
+    /**
+     * Run the current user's startup files (`~/.profile`, then `~/.bashrc`)
+     * in the shell, so they can set variables, aliases, functions and the
+     * theme. Missing files are skipped, and an error in one file is reported
+     * without stopping the rest. Each file runs as a job: Ctrl+C stops it
+     * and skips the files after it. Does nothing when the `rcFiles` option
+     * is off.
+     * @returns {Promise<void>} Resolves when all files have run
+     */
+    async loadStartupFiles() {
+        if (!this.opts.rcFiles) return;
+
+        const allowInput = this.allowInput;
+        this.allowInput = false;
+
+        try {
+            for (const file of TerminalEmulator.STARTUP_FILES) {
+                const path = `${this.user.home}/${file}`;
+                let source;
+
+                try {
+                    source = this.interpreter.readScript(path);
+                } catch {
+                    continue;
+                }
+
+                // Aliases the file defines are not saved; it defines them again next time
+                const job = await this.aliases.withoutSaving(() => this._runJob(`source ${path}`, async (io) => {
+                    try {
+                        return await this.interpreter.runScript(source, { name: path, io });
+                    } catch (error) {
+                        // `exit` or `return` only ends the file
+                        if (error instanceof ControlFlow) {
+                            if (error.type === 'signal') throw error;
+                            return error.value;
+                        }
+
+                        io.terminal.printError(`-bash: ${path}: ${error.message}`);
+                        console.error(`Startup file '${path}' error:`, error);
+                        return 1;
+                    }
+                }));
+
+                if (job.signal.aborted) break;
+            }
+        } finally {
+            this.allowInput = allowInput;
+            this.setPrompt();
+        }
+    }
+
+    /**
+     * Switch to another user: update the user details and environment, go
+     * to the new home directory, load that user's aliases and run their
+     * startup files
+     * @param {string} name - User name, one of SAMPLE_USERS
+     * @returns {Promise<void>} Resolves when the startup files have run
+     * @throws {Error} If there is no such user
+     */
+    async switchUser(name) {
+        const account = SAMPLE_USERS.find(user => user.name === name);
+        if (!account) {
+            throw new Error(`user ${name} does not exist`);
+        }
+
+        const { pass, ...details } = account;
+        this.user = { ...this.user, ...details };
+        this.sudo = this.user.uid === 0;
+
+        this.env.USER = this.user.name;
+        this.env.HOME = this.user.home;
+
+        try {
+            this.vfs.cd(this.user.home);
+            this.env.OLDPWD = this.env.PWD;
+            this.env.PWD = this.vfs._absolute_path(this.vfs.cwd);
+        } catch (e) {
+            console.warn("Could not change to home directory:", e.message);
+        }
+
+        this.aliases.load(this.user.name);
+        this.ready = this.loadStartupFiles();
+        await this.ready;
+    }
+
     /**
      * Execute command programmatically
      * @param {string} command - Command to execute
@@ -979,20 +1817,28 @@ export class TerminalEmulator {
     }
 
     /**
-     * Register new command
+     * Register new command. Unless its type is `builtin`, the command gets
+     * an executable in `/usr/local/bin`, and is found through `$PATH`.
+     * The definition may list the command's `flags` and give a
+     * `complete(context)` function for tab completion of its arguments.
+     * Flags are true when given; an `optionSpec` of
+     * `{ values: ['n', 'lines'] }` makes `-n 5` and `--lines=5` give them values.
+     * Instead, the definition can declare its `options` and `args` as a
+     * Command does, to have them checked and its help generated.
      * @param {string} name - Command name
      * @param {Object} commandDef - Command definition
      */
     async registerCommand(name, commandDef) {
-        this.commands[name] = {
-            name,
-            type: commandDef.type || 'exec',
-            mime: commandDef.mime || 'application/x-sharedlib',
-            help: commandDef.help || `No help available for ${name}`,
-            func: async (argv) => {
-                await commandDef.func(this, argv);
-            }
-        };
+        const command = new Command(name, {
+            ...commandDef,
+            func: (terminal, argv, io) => commandDef.func(terminal, argv, io)
+        });
+        if (commandDef.complete) {
+            command.complete = (context) => commandDef.complete(context);
+        }
+
+        this.commands[name] = this._commandEntry(command);
+        this._installCommand(name, '/usr/local/bin');
     }
 
     /**
@@ -1020,6 +1866,7 @@ export class TerminalEmulator {
     destroy() {
         document.removeEventListener("keydown", this._keydownHandler);
         document.removeEventListener("keypress", this._keypressHandler);
+        document.removeEventListener("paste", this._pasteHandler);
         this.container.removeEventListener("click", this._clickHandler);
         
         this._parserCache.clear();
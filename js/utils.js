@@ -266,6 +266,55 @@ class Utils {
         return output.trim();
     }
 
+    /**
+     * Convert HTML markup to plain text
+     * @param {string} html - HTML to convert
+     * @returns {string} Text content
+     */
+    htmlToText(html) {
+        if (!html) return '';
+
+        const element = document.createElement('div');
+        element.innerHTML = String(html).replace(/<br\s*\/?>/gi, '\n');
+        return element.textContent.replace(/\u00a0/g, ' ');
+    }
+
+    /**
+     * Get the longest string both strings start with
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {string} Common prefix
+     */
+    commonPrefix(a, b) {
+        let i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        return a.slice(0, i);
+    }
+
+    /**
+     * Escape text for safe insertion into HTML
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Quote text so the shell reads it back as a single word
+     * @param {string} text - Text to quote
+     * @returns {string} The text itself if it is safe, otherwise single-quoted
+     */
+    shellQuote(text) {
+        if (/^[\w@%+=:,./-]+$/.test(text)) return text;
+        return `'${String(text).replace(/'/g, "'\\''")}'`;
+    }
+
     /**
      * Base64 encoding/decoding utilities
      */
@@ -374,7 +374,7 @@ export class VirtualFileSystem {
         
         const node = this._resolve_path(path.replace(/\/+$/g, ""));
         
-        if (node.type !== "file") {
+        if (node.type === "dir") {
             throw new Error(`Not a file: ${node.key}`);
         }
         
@@ -527,6 +527,74 @@ export class VirtualFileSystem {
         return this._absolute_path(this.cwd);
     }
 
+    /**
+     * Check whether a node can be run as a command: an executable, or a
+     * file with execute permission
+     * @param {TreeNode} node - Node to check
+     * @returns {boolean} True if executable
+     */
+    isExecutable(node) {
+        return node.type === 'exec' || (node.type === 'file' && !!node.permissions?.includes('x'));
+    }
+
+    /**
+     * Find the executables with a name in the directories of a search path
+     * @param {string} name - Command name
+     * @param {string} searchPath - Colon-separated directories, such as `$PATH`
+     * @returns {Array<string>} Absolute paths of the executables, in search order
+     */
+    which(name, searchPath) {
+        const found = new Set();
+
+        for (const dir of searchPath.split(':')) {
+            try {
+                const node = this._resolve_path(`${dir || '.'}/${name}`);
+                if (this.isExecutable(node)) {
+                    found.add(this._absolute_path(node));
+                }
+            } catch {
+                // Not in this directory
+            }
+        }
+
+        return [...found];
+    }
+
+    /**
+     * Install an executable, creating its directory if needed. A node that
+     * already exists at the path is left as it is.
+     * @param {string} path - Absolute path of the executable
+     * @param {string} [contents] - File contents
+     * @param {string} [mime] - MIME type
+     * @returns {TreeNode} The executable node
+     */
+    install(path, contents = '', mime = 'application/x-executable') {
+        const segments = path.split('/');
+        const name = segments.pop();
+        const dir = segments.join('/') || '/';
+
+        this.mkdir(dir);
+        const parent = this._resolve_path(dir);
+        const existing = parent.findChild(name);
+        if (existing) return existing;
+
+        const node = new TreeNode(name, {
+            uid: this.getUid(),
+            size: contents.length,
+            mime,
+            contents,
+            type: 'exec',
+            permissions: 'rwxr-xr-x',
+            modified: this.getDate(),
+            user: this.user,
+            group: this.user
+        });
+
+        parent.insert(node);
+        this._invalidatePathCache(path);
+        return node;
+    }
+
     /**
      * Search for files/directories
      * @param {string} query - Search query/pattern
@@ -563,6 +631,9 @@ export class VirtualFileSystem {
      * @private
      */
     _invalidatePathCache(path) {
+        // Cache keys are normalized absolute paths
+        path = this._normalizePath(path);
+
         if (this._pathCache.has(path)) {
             this._pathCache.delete(path);
         }